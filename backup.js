@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+/**
+ * Backups
+ *
+ * A backup is one gzipped tar archive holding a consistent copy of the database (taken with
+ * VACUUM INTO, so it can run while the server is up), every attachment file that copy refers
+ * to, and manifest.json with the size and SHA-256 of each file. Attachments uploaded while the
+ * backup runs belong to a later backup. Archives are named it-tracker-YYYYMMDD-HHMMSS.tar.gz
+ * (UTC) and can be inspected with `tar -tzf`.
+ *
+ * Restoring validates the whole archive first — checksums, the database's integrity check and
+ * its schema version — and only then swaps the database and uploads folder in. The ones it
+ * replaces are kept alongside as *.before-restore-<time> until you delete them.
+ *
+ * The server takes scheduled backups itself when BACKUP_INTERVAL_HOURS is set; this script
+ * does the same by hand (or from cron) and is the only way to restore.
+ *
+ * Usage:
+ *   node backup.js                                   # Back up ./tracker.db and ./uploads into ./backups
+ *   node backup.js /var/lib/it-tracker/tracker.db    # Custom database path
+ *   node backup.js --dir /var/backups/it-tracker     # Custom backup folder (default BACKUP_DIR or ./backups)
+ *   node backup.js --keep 14                         # Back up, then delete all but the newest 14 archives
+ *   node backup.js --list                            # List archives in the backup folder
+ *   node backup.js --verify <archive>                # Validate an archive without restoring it
+ *   node backup.js --restore <archive>               # Validate only, and say what would be replaced
+ *   node backup.js --restore <archive> --yes         # Validate, then replace the database and uploads
+ *   node backup.js --check                           # Attachment rows without files, and orphaned files
+ *   node backup.js --uploads /srv/uploads ...        # Custom uploads folder (default ./uploads)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { listMigrations } = require('./migrate');
+
+const FORMAT = 'it-tracker-backup';
+const FORMAT_VERSION = 1;
+const BACKUP_RE = /^it-tracker-\d{8}-\d{6}(-\d+)?\.tar\.gz$/;
+const DB_ENTRY = 'tracker.db';
+const MANIFEST_ENTRY = 'manifest.json';
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || [])));
+const run = (db, sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, err => err ? reject(err) : resolve()));
+const openDb = (file, mode) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, mode, err => err ? reject(err) : resolve(db));
+});
+const closeDb = db => new Promise(resolve => db.close(() => resolve()));
+
+// TAR - plain ustar. Names longer than 100 bytes are preceded by a GNU long-name entry.
+function tarHeader(name, size, mtime, type = '0') {
+    const h = Buffer.alloc(512);
+    h.write(name, 0, 100);
+    h.write('0000644\0', 100);
+    h.write('0000000\0', 108);
+    h.write('0000000\0', 116);
+    h.write(size.toString(8).padStart(11, '0') + '\0', 124);
+    h.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136);
+    h.write('        ', 148);
+    h.write(type, 156);
+    h.write('ustar\0', 257);
+    h.write('00', 263);
+    let sum = 0;
+    for (const b of h) sum += b;
+    h.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return h;
+}
+
+const tarPadding = size => Buffer.alloc((512 - size % 512) % 512);
+
+// Writes entries one after another into a gzipped tar; add() resolves with the entry's size and SHA-256
+function tarWriter(file) {
+    const gz = zlib.createGzip();
+    const out = fs.createWriteStream(file);
+    let failed = null;
+    gz.on('error', err => failed = failed || err);
+    out.on('error', err => failed = failed || err);
+    gz.pipe(out);
+    const write = buf => new Promise(resolve => gz.write(buf) ? resolve() : gz.once('drain', resolve));
+
+    return {
+        async add(name, src) {
+            if (failed) throw failed;
+            const size = Buffer.isBuffer(src) ? src.length : fs.statSync(src).size;
+            const nameBytes = Buffer.from(name);
+            if (nameBytes.length > 100) {
+                await write(tarHeader('././@LongLink', nameBytes.length + 1, Date.now(), 'L'));
+                await write(Buffer.concat([nameBytes, Buffer.alloc(1), tarPadding(nameBytes.length + 1)]));
+            }
+            await write(tarHeader(name, size, Date.now()));
+            const hash = crypto.createHash('sha256');
+            if (Buffer.isBuffer(src)) {
+                hash.update(src);
+                await write(src);
+            } else if (size) {
+                let copied = 0;
+                for await (const chunk of fs.createReadStream(src, { end: size - 1 })) {
+                    hash.update(chunk);
+                    copied += chunk.length;
+                    await write(chunk);
+                }
+                if (copied !== size) throw new Error(`${name} changed size while it was being backed up`);
+            }
+            await write(tarPadding(size));
+            if (failed) throw failed;
+            return { name, size, sha256: hash.digest('hex') };
+        },
+        finish() {
+            return new Promise((resolve, reject) => {
+                if (failed) return reject(failed);
+                out.on('finish', () => failed ? reject(failed) : resolve());
+                out.on('error', reject);
+                gz.end(Buffer.alloc(1024));
+            });
+        },
+        abort() {
+            gz.destroy();
+            out.destroy();
+        }
+    };
+}
+
+// Only the names a backup can contain are accepted, so an archive can't write outside `dir`
+function entryPath(dir, name) {
+    if (name === DB_ENTRY || name === MANIFEST_ENTRY) return path.join(dir, name);
+    const m = /^uploads\/([^/\\]+)$/.exec(name);
+    if (m && m[1] !== '.' && m[1] !== '..') return path.join(dir, 'uploads', m[1]);
+    throw new Error(`Unexpected file in archive: ${name}`);
+}
+
+const cstring = (buf, start, len) => {
+    const s = buf.subarray(start, start + len);
+    const end = s.indexOf(0);
+    return s.subarray(0, end < 0 ? len : end).toString();
+};
+
+// Unpacks a gzipped tar into `dir` (which must exist), hashing as it goes; resolves with [{ name, size, sha256 }]
+function extractTar(file, dir) {
+    fs.mkdirSync(path.join(dir, 'uploads'), { recursive: true });
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        let buf = Buffer.alloc(0), entry = null, remaining = 0, skip = 0, longName = null, ended = false, done = false;
+        const input = fs.createReadStream(file);
+        const gunzip = zlib.createGunzip();
+        const fail = err => {
+            if (done) return;
+            done = true;
+            if (entry?.fd !== undefined) fs.closeSync(entry.fd);
+            input.destroy();
+            gunzip.destroy();
+            reject(err);
+        };
+
+        const finishEntry = () => {
+            if (entry.long) longName = cstring(Buffer.concat(entry.chunks), 0, entry.size);
+            else {
+                fs.closeSync(entry.fd);
+                entries.push({ name: entry.name, size: entry.size, sha256: entry.hash.digest('hex') });
+            }
+            entry = null;
+        };
+
+        const consume = chunk => {
+            buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+            while (!ended) {
+                if (entry) {
+                    const part = buf.subarray(0, Math.min(remaining, buf.length));
+                    if (entry.long) entry.chunks.push(part);
+                    else {
+                        fs.writeSync(entry.fd, part);
+                        entry.hash.update(part);
+                    }
+                    remaining -= part.length;
+                    buf = buf.subarray(part.length);
+                    if (remaining) return;
+                    finishEntry();
+                }
+                if (skip) {
+                    const n = Math.min(skip, buf.length);
+                    skip -= n;
+                    buf = buf.subarray(n);
+                    if (skip) return;
+                }
+                if (buf.length < 512) return;
+                const header = buf.subarray(0, 512);
+                buf = buf.subarray(512);
+                if (header.every(b => b === 0)) { ended = true; return; }
+
+                let sum = 0;
+                for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 32 : header[i];
+                if (sum !== parseInt(cstring(header, 148, 8).trim(), 8)) throw new Error('Not a backup archive (bad tar header)');
+                const size = parseInt(cstring(header, 124, 12).trim() || '0', 8);
+                const type = String.fromCharCode(header[156] || 48);
+                const prefix = cstring(header, 345, 155);
+                const name = longName || (prefix ? prefix + '/' : '') + cstring(header, 0, 100);
+                longName = null;
+                skip = (512 - size % 512) % 512;
+                remaining = size;
+
+                if (type === 'L') entry = { long: true, size, chunks: [] };
+                else if (type === '0') {
+                    if (entries.some(e => e.name === name)) throw new Error(`${name} appears twice in the archive`);
+                    entry = { name, size, fd: fs.openSync(entryPath(dir, name), 'w'), hash: crypto.createHash('sha256') };
+                } else if (type !== '5') throw new Error(`Unexpected entry in archive: ${name}`);
+                if (type === '5') remaining = skip = 0;
+                else if (!remaining) finishEntry();
+            }
+        };
+
+        gunzip.on('data', chunk => {
+            if (done) return;
+            try { consume(chunk); } catch (err) { fail(err); }
+        });
+        gunzip.on('end', () => {
+            if (done) return;
+            if (!ended) return fail(new Error('Archive is truncated'));
+            done = true;
+            resolve(entries);
+        });
+        gunzip.on('error', err => fail(new Error('Archive is corrupt: ' + err.message)));
+        input.on('error', fail);
+        input.pipe(gunzip);
+    });
+}
+
+const pad2 = n => String(n).padStart(2, '0');
+const stamp = (d = new Date()) => `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}-${pad2(d.getUTCHours())}${pad2(d.getUTCMinutes())}${pad2(d.getUTCSeconds())}`;
+const latestSchema = () => listMigrations().map(m => m.version).pop() || null;
+
+// Newest first
+function listBackups(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => BACKUP_RE.test(f)).map(name => {
+        const st = fs.statSync(path.join(dir, name));
+        return { name, size: st.size, created_at: st.mtime.toISOString() };
+    }).sort((a, b) => b.name.localeCompare(a.name, undefined, { numeric: true }));
+}
+
+// Deletes all but the newest `keep` archives; returns the names removed
+function pruneBackups(dir, keep) {
+    if (!(keep > 0)) return [];
+    return listBackups(dir).slice(keep).map(b => {
+        fs.unlinkSync(path.join(dir, b.name));
+        return b.name;
+    });
+}
+
+// Backs up through `db`, an open connection to the live database. VACUUM INTO fails inside an open
+// transaction or beside other running statements, so a connection shared with other work must hold
+// those back while it runs (the server's does). Writes to a hidden .partial file and renames it when
+// complete, so a half-written archive is never listed or pruned.
+async function createBackup(db, { dir, uploadDir, keep = 0 }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = 'it-tracker-' + stamp();
+    let name = base + '.tar.gz';
+    for (let n = 2; fs.existsSync(path.join(dir, name)); n++) name = `${base}-${n}.tar.gz`;
+    const file = path.join(dir, name);
+    const snapshot = path.join(dir, `.${name}.db`);
+    const partial = path.join(dir, `.${name}.partial`);
+    let writer = null;
+
+    try {
+        await run(db, 'VACUUM INTO ?', [snapshot]);
+        const snap = await openDb(snapshot, sqlite3.OPEN_READONLY);
+        let attachments, schema, counts;
+        try {
+            attachments = await all(snap, "SELECT DISTINCT filename FROM task_attachments ORDER BY filename");
+            schema = (await all(snap, "SELECT MAX(version) as v FROM schema_migrations"))[0].v;
+            counts = (await all(snap, `SELECT (SELECT COUNT(*) FROM projects) as projects, (SELECT COUNT(*) FROM tasks) as tasks,
+                (SELECT COUNT(*) FROM task_attachments) as attachments, (SELECT COUNT(*) FROM users) as users`))[0];
+        } finally {
+            await closeDb(snap);
+        }
+
+        writer = tarWriter(partial);
+        const database = await writer.add(DB_ENTRY, snapshot);
+        const files = [], missing = [];
+        for (const { filename } of attachments) {
+            const src = path.join(uploadDir, path.basename(filename));
+            if (!fs.existsSync(src)) { missing.push(filename); continue; }
+            files.push(await writer.add('uploads/' + path.basename(filename), src));
+        }
+        const manifest = {
+            format: FORMAT, version: FORMAT_VERSION, created_at: new Date().toISOString(),
+            app_version: require('./package.json').version, schema_version: schema,
+            counts, database, files, missing
+        };
+        await writer.add(MANIFEST_ENTRY, Buffer.from(JSON.stringify(manifest, null, 2)));
+        await writer.finish();
+        fs.renameSync(partial, file);
+        const pruned = pruneBackups(dir, keep);
+        return { name, file, size: fs.statSync(file).size, created_at: manifest.created_at, schema_version: schema, counts, files: files.length, missing, pruned };
+    } catch (err) {
+        if (writer) writer.abort();
+        fs.rmSync(partial, { force: true });
+        throw err;
+    } finally {
+        fs.rmSync(snapshot, { force: true });
+    }
+}
+
+// Unpacks `file` into `workDir` and checks it: the manifest, every file's size and checksum, no
+// files missing or extra, the database's integrity and a schema this version can run. Throws
+// with the first problem found; resolves with the manifest.
+async function verifyInto(file, workDir) {
+    const entries = await extractTar(file, workDir);
+    const byName = new Map(entries.map(e => [e.name, e]));
+    if (!byName.has(MANIFEST_ENTRY)) throw new Error('Not a backup archive (no manifest.json)');
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(workDir, MANIFEST_ENTRY), 'utf8'));
+    } catch (err) {
+        throw new Error('manifest.json is not valid JSON');
+    }
+    if (manifest.format !== FORMAT) throw new Error('Not a backup archive (unknown format)');
+    if (manifest.version > FORMAT_VERSION) throw new Error(`Archive format ${manifest.version} is newer than this version understands — upgrade first`);
+
+    const expected = [manifest.database, ...(manifest.files || [])];
+    if (manifest.database?.name !== DB_ENTRY) throw new Error('manifest.json does not list the database');
+    for (const f of expected) {
+        const got = byName.get(f.name);
+        if (!got) throw new Error(`${f.name} is listed in the manifest but missing from the archive`);
+        if (got.size !== f.size || got.sha256 !== f.sha256) throw new Error(`${f.name} does not match its checksum`);
+    }
+    const listed = new Set([MANIFEST_ENTRY, ...expected.map(f => f.name)]);
+    const extra = entries.find(e => !listed.has(e.name));
+    if (extra) throw new Error(`${extra.name} is in the archive but not in the manifest`);
+
+    // Read-write because FTS5's integrity check writes to the scratch copy
+    const db = await openDb(path.join(workDir, DB_ENTRY), sqlite3.OPEN_READWRITE).catch(err => {
+        throw new Error('Database in archive cannot be opened: ' + err.message);
+    });
+    try {
+        const check = (await all(db, 'PRAGMA integrity_check')).map(r => r.integrity_check);
+        if (check.join() !== 'ok') throw new Error('Database in archive failed its integrity check: ' + check.slice(0, 5).join('; '));
+        const tables = new Set((await all(db, "SELECT name FROM sqlite_master WHERE type='table'")).map(r => r.name));
+        const absent = ['users', 'projects', 'tasks', 'task_attachments', 'schema_migrations'].filter(t => !tables.has(t));
+        if (absent.length) throw new Error('Database in archive is missing tables: ' + absent.join(', '));
+        const schema = (await all(db, "SELECT MAX(version) as v FROM schema_migrations"))[0].v;
+        const latest = latestSchema();
+        if (schema && latest && schema > latest) throw new Error(`Archive has schema ${schema} but this version only knows up to ${latest} — upgrade first`);
+    } finally {
+        await closeDb(db);
+    }
+    return manifest;
+}
+
+// Validates an archive in a temporary folder that is removed afterwards
+async function verifyBackup(file) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'it-tracker-verify-'));
+    try {
+        return await verifyInto(file, workDir);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// The uploads folder may be on another filesystem than the database
+function relocate(from, to) {
+    try {
+        fs.renameSync(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        fs.cpSync(from, to, { recursive: true });
+        fs.rmSync(from, { recursive: true, force: true });
+    }
+}
+
+// Validates `file`, then moves the current database (with any journal) and uploads folder aside and
+// the archive's copies into their place. The server must be stopped: it keeps the old database open.
+async function restoreBackup(file, { dbPath, uploadDir }) {
+    dbPath = path.resolve(dbPath);
+    uploadDir = path.resolve(uploadDir);
+    // Unpacked next to the database so the swap is a rename, not a copy
+    const workDir = fs.mkdtempSync(path.join(path.dirname(dbPath), '.restore-'));
+    const suffix = '.before-restore-' + stamp();
+    const moved = [];
+    const move = (from, to) => { relocate(from, to); moved.push([from, to]); };
+    try {
+        const manifest = await verifyInto(file, workDir);
+        const kept = [];
+        for (const f of [dbPath, dbPath + '-journal', dbPath + '-wal', dbPath + '-shm']) {
+            if (fs.existsSync(f)) { move(f, f + suffix); kept.push(f + suffix); }
+        }
+        if (fs.existsSync(uploadDir)) { move(uploadDir, uploadDir + suffix); kept.push(uploadDir + suffix); }
+        move(path.join(workDir, DB_ENTRY), dbPath);
+        move(path.join(workDir, 'uploads'), uploadDir);
+        return { manifest, kept };
+    } catch (err) {
+        // Put back whatever was already moved
+        for (const [from, to] of moved.reverse()) {
+            try { relocate(to, from); } catch (e) { err.message += `; could not move ${to} back to ${from}`; }
+        }
+        throw err;
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// Attachment rows whose file is gone, and files in the uploads folder no row refers to
+async function checkIntegrity(db, uploadDir) {
+    const check = (await all(db, 'PRAGMA integrity_check')).map(r => r.integrity_check);
+    const rows = await all(db, `SELECT a.id, a.project_id, p.name as project_name, a.task_id, a.filename, a.original_name, a.file_size, a.uploaded_by, a.uploaded_at
+        FROM task_attachments a LEFT JOIN projects p ON p.id=a.project_id ORDER BY a.project_id, a.task_id, a.id`);
+    const onDisk = new Map();
+    if (fs.existsSync(uploadDir)) {
+        for (const f of fs.readdirSync(uploadDir, { withFileTypes: true })) {
+            if (f.isFile()) onDisk.set(f.name, fs.statSync(path.join(uploadDir, f.name)));
+        }
+    }
+    const referenced = new Set(rows.map(r => r.filename));
+    return {
+        database: check.join() === 'ok' ? 'ok' : check,
+        attachments: rows.length,
+        files: onDisk.size,
+        missing: rows.filter(r => !onDisk.has(r.filename)),
+        orphaned: [...onDisk].filter(([name]) => !referenced.has(name))
+            .map(([filename, st]) => ({ filename, size: st.size, modified: st.mtime.toISOString() }))
+    };
+}
+
+module.exports = { createBackup, listBackups, pruneBackups, verifyBackup, restoreBackup, checkIntegrity, BACKUP_RE };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const valueOf = flag => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : undefined; };
+    const valued = ['--dir', '--keep', '--uploads', '--verify', '--restore'];
+    const dbPath = args.find((a, i) => !a.startsWith('--') && !valued.includes(args[i - 1])) || process.env.DB_PATH || './tracker.db';
+    const dir = path.resolve(valueOf('--dir') || process.env.BACKUP_DIR || './backups');
+    const uploadDir = path.resolve(valueOf('--uploads') || path.join(__dirname, 'uploads'));
+    const keep = parseInt(valueOf('--keep')) || 0;
+    const archive = valueOf('--verify') || valueOf('--restore');
+    const mb = n => n < 1048576 ? Math.ceil(n / 1024) + ' KB' : (n / 1048576).toFixed(1) + ' MB';
+    const banner = () => console.log('\n══════════════════════════════════════════════════════════════');
+
+    for (const flag of valued) {
+        if (args.includes(flag) && !valueOf(flag)) {
+            console.error(`❌ ${flag} needs a value`);
+            process.exit(1);
+        }
+    }
+
+    (async () => {
+        try {
+            if (args.includes('--list')) {
+                console.log(`  Backups: ${dir}\n`);
+                const list = listBackups(dir);
+                if (!list.length) console.log('  No backups yet');
+                list.forEach(b => console.log(`  ${b.name}  ${mb(b.size).padStart(10)}  ${b.created_at}`));
+                return;
+            }
+
+            if (archive) {
+                const file = fs.existsSync(archive) ? archive : path.join(dir, archive);
+                const restore = args.includes('--restore');
+                console.log(`  Archive:  ${path.resolve(file)}`);
+                if (restore) {
+                    console.log(`  Database: ${path.resolve(dbPath)}`);
+                    console.log(`  Uploads:  ${uploadDir}`);
+                }
+                console.log(`  Mode:     ${restore && args.includes('--yes') ? '♻️  RESTORE' : '🔍 VERIFY (no changes)'}`);
+                console.log('');
+                if (!restore || !args.includes('--yes')) {
+                    const m = await verifyBackup(file);
+                    banner();
+                    console.log(`✅ Archive is valid — taken ${m.created_at}, schema ${m.schema_version}, ${m.files.length} attachment file(s)`);
+                    if (m.missing.length) console.log(`   ⚠️  ${m.missing.length} attachment file(s) were already missing when it was taken`);
+                    if (restore) console.log('   Nothing was changed. Stop the server (sudo systemctl stop it-tracker), then run again with --yes');
+                } else {
+                    const { manifest: m, kept } = await restoreBackup(file, { dbPath, uploadDir });
+                    banner();
+                    console.log(`✅ RESTORED backup taken ${m.created_at} (${m.counts.projects} projects, ${m.counts.tasks} tasks, ${m.files.length} files)`);
+                    kept.forEach(f => console.log(`   Previous copy kept: ${f}`));
+                    console.log('   Start your server: sudo systemctl start it-tracker');
+                }
+                console.log('══════════════════════════════════════════════════════════════');
+                return;
+            }
+
+            const db = await openDb(dbPath, sqlite3.OPEN_READWRITE).catch(err => {
+                console.error('❌ Cannot open database:', err.message);
+                console.error('   Make sure the path is correct and the file exists.');
+                process.exit(1);
+            });
+            // The server may have the database open at the same time
+            db.configure('busyTimeout', 5000);
+            console.log(`  Database: ${path.resolve(dbPath)}`);
+            console.log(`  Uploads:  ${uploadDir}`);
+            try {
+                if (args.includes('--check')) {
+                    console.log('  Mode:     🩺 INTEGRITY CHECK\n');
+                    const r = await checkIntegrity(db, uploadDir);
+                    console.log(`  Database integrity: ${r.database === 'ok' ? '✅ ok' : '❌ ' + r.database.slice(0, 5).join('; ')}`);
+                    console.log(`  ${r.attachments} attachment row(s), ${r.files} file(s) in uploads\n`);
+                    r.missing.forEach(a => console.log(`  ❌ missing  ${a.filename}  (attachment ${a.id} "${a.original_name}" on ${a.task_id} in ${a.project_name || 'project ' + a.project_id})`));
+                    r.orphaned.forEach(f => console.log(`  ⚠️  orphaned ${f.filename}  (${mb(f.size)}, ${f.modified})`));
+                    banner();
+                    if (r.database === 'ok' && !r.missing.length && !r.orphaned.length) console.log('✅ No problems found');
+                    else console.log(`❌ ${r.database === 'ok' ? '' : 'Database is damaged, '}${r.missing.length} missing file(s), ${r.orphaned.length} orphaned file(s)`);
+                    console.log('══════════════════════════════════════════════════════════════');
+                    if (r.database !== 'ok' || r.missing.length) process.exitCode = 1;
+                    return;
+                }
+                console.log(`  Backups:  ${dir}`);
+                console.log('  Mode:     💾 BACKUP\n');
+                const b = await createBackup(db, { dir, uploadDir, keep });
+                banner();
+                console.log(`✅ ${b.name} — ${mb(b.size)}, ${b.counts.projects} projects, ${b.counts.tasks} tasks, ${b.files} file(s)`);
+                if (b.missing.length) console.log(`   ⚠️  ${b.missing.length} attachment file(s) are missing from uploads — run with --check`);
+                if (b.pruned.length) console.log(`   🗑️  Removed ${b.pruned.length} older backup(s), keeping ${keep}`);
+                console.log('══════════════════════════════════════════════════════════════');
+            } finally {
+                await closeDb(db);
+            }
+        } catch (err) {
+            console.error('\n❌', err.message);
+            process.exitCode = 1;
+        }
+    })();
+}
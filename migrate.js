@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Schema Migrations
+ *
+ * Applies the numbered files in ./migrations in order and records each one in the
+ * schema_migrations table so it only ever runs once. The server runs pending
+ * migrations on startup; this script runs them by hand (e.g. before a restart).
+ *
+ * Each migration exports { description, up(m) } where m provides promise-based
+ * run/get/all helpers and log(). In dry-run mode run() only prints the statement.
+ * A migration is applied inside a transaction together with its schema_migrations row.
+ *
+ * Usage:
+ *   node migrate.js                                 # Uses ./tracker.db
+ *   node migrate.js /var/lib/it-tracker/tracker.db  # Custom path
+ *   node migrate.js --dry-run                       # Preview without changes
+ *   node migrate.js --status                        # List applied and pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// migrations/001-add-hr-workstream.js → { version: '001', name: 'add-hr-workstream' }
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(f => /^\d+-[\w-]+\.js$/.test(f))
+        .sort()
+        .map(f => ({ version: f.split('-')[0], name: f.slice(f.indexOf('-') + 1, -3), file: path.join(MIGRATIONS_DIR, f) }));
+}
+
+function helpers(db, dryRun, log) {
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        if (dryRun) {
+            log(`  [DRY RUN] ${sql.replace(/\s+/g, ' ').substring(0, 80)}...`);
+            return resolve({ changes: 0, lastID: 0 });
+        }
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ changes: this.changes, lastID: this.lastID });
+        });
+    });
+    const get = (sql, params = []) => new Promise((resolve, reject) => db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
+    const all = (sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || [])));
+    return { run, get, all, log, dryRun };
+}
+
+async function pendingMigrations(db) {
+    const m = helpers(db, false, () => {});
+    await m.run(`CREATE TABLE IF NOT EXISTS schema_migrations (version TEXT PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+    const applied = new Set((await m.all("SELECT version FROM schema_migrations")).map(r => r.version));
+    return listMigrations().filter(mg => !applied.has(mg.version));
+}
+
+// Resolves with the migrations that were applied (or would be, in dry-run mode)
+async function runMigrations(db, { dryRun = false, log = console.log } = {}) {
+    const pending = await pendingMigrations(db);
+    for (const mg of pending) {
+        const migration = require(mg.file);
+        const m = helpers(db, dryRun, log);
+        log(`Migration ${mg.version} — ${migration.description || mg.name}${dryRun ? ' (dry run)' : ''}`);
+        if (dryRun) {
+            await migration.up(m);
+            continue;
+        }
+        await m.run('BEGIN');
+        try {
+            await migration.up(m);
+            await m.run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [mg.version, mg.name]);
+            await m.run('COMMIT');
+        } catch (err) {
+            await m.run('ROLLBACK').catch(() => {});
+            err.message = `Migration ${mg.version}-${mg.name} failed: ${err.message}`;
+            throw err;
+        }
+    }
+    return pending;
+}
+
+module.exports = { runMigrations, pendingMigrations, listMigrations };
+
+if (require.main === module) {
+    const sqlite3 = require('sqlite3').verbose();
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const dbPath = args.find(a => !a.startsWith('--')) || './tracker.db';
+
+    console.log(`  Database: ${path.resolve(dbPath)}`);
+    console.log(`  Mode:     ${args.includes('--status') ? '📋 STATUS' : dryRun ? '🔍 DRY RUN (no changes)' : '🔧 LIVE'}`);
+    console.log('');
+
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
+        if (err) {
+            console.error('❌ Cannot open database:', err.message);
+            console.error('   Make sure the path is correct and the file exists.');
+            process.exit(1);
+        }
+    });
+    // The server may have the database open at the same time
+    db.configure('busyTimeout', 5000);
+
+    (async () => {
+        try {
+            if (args.includes('--status')) {
+                const pending = new Set((await pendingMigrations(db)).map(mg => mg.version));
+                const applied = await helpers(db, false).all("SELECT version, applied_at FROM schema_migrations");
+                listMigrations().forEach(mg => {
+                    const a = applied.find(r => r.version === mg.version);
+                    console.log(`  ${pending.has(mg.version) ? '⏳ pending ' : '✅ applied '} ${mg.version}-${mg.name}${a ? '  (' + a.applied_at + ')' : ''}`);
+                });
+                return;
+            }
+            const done = await runMigrations(db, { dryRun });
+            console.log('\n══════════════════════════════════════════════════════════════');
+            if (!done.length) console.log('✅ Database is up to date — nothing to migrate');
+            else if (dryRun) console.log(`🔍 DRY RUN COMPLETE — ${done.length} pending migration(s), no changes were made`);
+            else console.log(`✅ ${done.length} MIGRATION(S) APPLIED\n   Restart your server: sudo systemctl restart it-tracker`);
+            console.log('══════════════════════════════════════════════════════════════');
+        } catch (err) {
+            console.error('\n❌', err.message);
+            process.exitCode = 1;
+        } finally {
+            db.close();
+        }
+    })();
+}
@@ -1,38 +1,10 @@
-#!/usr/bin/env node
 /**
- * Migration Script: Add Human Resources Workstream
- * 
- * Run this once against your existing tracker.db to add the HR workstream,
- * default tasks, and optionally seed HR tasks into existing projects.
- * 
- * Usage:
- *   node migrate-add-hr.js                          # Uses ./tracker.db
- *   node migrate-add-hr.js /var/lib/it-tracker/tracker.db   # Custom path
- *   node migrate-add-hr.js --dry-run                # Preview without changes
+ * Migration 001: Add Human Resources Workstream
+ *
+ * Formerly migrate-add-hr.js. Adds the HR workstream and default tasks, and seeds
+ * HR tasks, contacts and risks into existing projects that don't have any yet.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-const args = process.argv.slice(2);
-const dryRun = args.includes('--dry-run');
-const dbPath = args.find(a => !a.startsWith('--')) || './tracker.db';
-
-console.log('╔══════════════════════════════════════════════════════════════╗');
-console.log('║     Migration: Add Human Resources Workstream               ║');
-console.log('╚══════════════════════════════════════════════════════════════╝');
-console.log(`  Database: ${path.resolve(dbPath)}`);
-console.log(`  Mode:     ${dryRun ? '🔍 DRY RUN (no changes)' : '🔧 LIVE'}`);
-console.log('');
-
-const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
-    if (err) {
-        console.error('❌ Cannot open database:', err.message);
-        console.error('   Make sure the path is correct and the file exists.');
-        process.exit(1);
-    }
-});
-
 // HR Workstream definition
 const HR_WORKSTREAM = { name: 'Human Resources', color: '#d53f8c', sort_order: 7 };
 
@@ -64,55 +36,28 @@ const HR_RISKS = [
     { id_suffix: 'HR2', description: 'Policy compliance gaps', workstream: 'Human Resources', likelihood: 'Medium', impact: 'Medium', mitigation: 'Legal review of all consolidated policies before rollout' }
 ];
 
-function run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        if (dryRun) {
-            console.log(`  [DRY RUN] ${sql.substring(0, 80)}...`);
-            resolve({ changes: 0, lastID: 0 });
-        } else {
-            db.run(sql, params, function(err) {
-                if (err) reject(err);
-                else resolve({ changes: this.changes, lastID: this.lastID });
-            });
-        }
-    });
-}
-
-function get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        db.get(sql, params, (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-        });
-    });
-}
-
-function all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        db.all(sql, params, (err, rows) => {
-            if (err) reject(err);
-            else resolve(rows || []);
-        });
-    });
-}
+module.exports = {
+    description: 'Add Human Resources workstream',
+    async up({ run, get, all, log }) {
+        // Nothing has been seeded yet on a new database; the defaults seeded after migrations already include HR
+        const seeded = await get("SELECT COUNT(*) as c FROM default_workstreams");
+        if (!seeded.c) return log('  New database — nothing to upgrade');
 
-async function migrate() {
-    try {
         // Step 1: Check if HR workstream already exists
-        console.log('Step 1: Checking for existing HR workstream...');
+        log('Step 1: Checking for existing HR workstream...');
         const existing = await get("SELECT id FROM default_workstreams WHERE name = ?", ['Human Resources']);
         if (existing) {
-            console.log('  ⚠️  Human Resources workstream already exists (id: ' + existing.id + ')');
-            console.log('  Skipping workstream creation.');
+            log('  ⚠️  Human Resources workstream already exists (id: ' + existing.id + ')');
+            log('  Skipping workstream creation.');
         } else {
-            console.log('  Adding Human Resources workstream...');
+            log('  Adding Human Resources workstream...');
             await run("INSERT INTO default_workstreams (name, color, sort_order) VALUES (?, ?, ?)",
                 [HR_WORKSTREAM.name, HR_WORKSTREAM.color, HR_WORKSTREAM.sort_order]);
-            console.log('  ✅ Workstream added');
+            log('  ✅ Workstream added');
         }
 
         // Step 2: Add default tasks (skip existing)
-        console.log('\nStep 2: Adding HR default tasks...');
+        log('\nStep 2: Adding HR default tasks...');
         let tasksAdded = 0;
         let tasksSkipped = 0;
         for (const t of HR_TASKS) {
@@ -124,23 +69,23 @@ async function migrate() {
                 tasksAdded++;
             }
         }
-        console.log(`  ✅ ${tasksAdded} tasks added, ${tasksSkipped} already existed`);
+        log(`  ✅ ${tasksAdded} tasks added, ${tasksSkipped} already existed`);
 
         // Step 3: Add HR tasks to existing projects
-        console.log('\nStep 3: Seeding HR tasks into existing projects...');
+        log('\nStep 3: Seeding HR tasks into existing projects...');
         const projects = await all("SELECT id, name FROM projects");
         if (projects.length === 0) {
-            console.log('  No projects found — skipping');
+            log('  No projects found — skipping');
         } else {
-            console.log(`  Found ${projects.length} project(s):`);
+            log(`  Found ${projects.length} project(s):`);
             for (const p of projects) {
                 const existingHR = await get("SELECT COUNT(*) as c FROM tasks WHERE project_id = ? AND workstream = 'Human Resources'", [p.id]);
                 if (existingHR && existingHR.c > 0) {
-                    console.log(`    📁 ${p.name} (id: ${p.id}) — already has ${existingHR.c} HR tasks, skipping`);
+                    log(`    📁 ${p.name} (id: ${p.id}) — already has ${existingHR.c} HR tasks, skipping`);
                     continue;
                 }
 
-                console.log(`    📁 ${p.name} (id: ${p.id}) — adding ${HR_TASKS.length} HR tasks...`);
+                log(`    📁 ${p.name} (id: ${p.id}) — adding ${HR_TASKS.length} HR tasks...`);
                 for (const t of HR_TASKS) {
                     await run(
                         "INSERT INTO tasks (id, project_id, workstream, name, description, priority, status, percent_complete, dependencies) VALUES (?,?,?,?,?,?,?,?,?)",
@@ -178,27 +123,8 @@ async function migrate() {
                     }
                 }
 
-                console.log(`       ✅ Done — tasks, contacts, and risks added`);
+                log(`       ✅ Done — tasks, contacts, and risks added`);
             }
         }
-
-        // Summary
-        console.log('\n══════════════════════════════════════════════════════════════');
-        if (dryRun) {
-            console.log('🔍 DRY RUN COMPLETE — no changes were made');
-            console.log('   Run without --dry-run to apply changes');
-        } else {
-            console.log('✅ MIGRATION COMPLETE');
-            console.log('   Restart your server: sudo systemctl restart it-tracker');
-        }
-        console.log('══════════════════════════════════════════════════════════════');
-
-    } catch (err) {
-        console.error('\n❌ Migration failed:', err.message);
-        process.exit(1);
-    } finally {
-        db.close();
     }
-}
-
-migrate();
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration 002: Project Members
+ *
+ * Creates the project_members table. Projects are only visible to their members, so
+ * that upgrading doesn't lock anyone out every existing non-admin user is added to
+ * every existing project with their current global role. Admins see every project
+ * and are never listed as members.
+ */
+
+module.exports = {
+    description: 'Add project membership',
+    async up({ run, get, log }) {
+        await run(`CREATE TABLE IF NOT EXISTS project_members (project_id INTEGER NOT NULL, user_id INTEGER NOT NULL, role TEXT NOT NULL DEFAULT 'readonly', added_by TEXT, added_at DATETIME DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY (project_id, user_id))`);
+        const r = await get("SELECT COUNT(*) as c FROM projects p, users u WHERE u.role<>'admin'");
+        if (!r.c) return log('  No projects or users to add');
+        const res = await run(`INSERT INTO project_members (project_id,user_id,role,added_by) SELECT p.id, u.id, u.role, 'upgrade' FROM projects p, users u WHERE u.role<>'admin'`);
+        log(`  ✅ ${res.changes} membership(s) added`);
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 003: Default Contacts and Risks
+ *
+ * Moves the contacts and risks every new project starts with out of server.js and into
+ * template tables, alongside default_workstreams and default_tasks, so they can be
+ * managed and shipped in workstream packs.
+ */
+
+const CONTACTS = [
+    ['Office 365', 'IT Director', 'Acquired'], ['Network', 'Network Admin', 'Acquired'], ['Cybersecurity', 'Security Manager', 'Acquired'],
+    ['Office 365', 'IT Director', 'Applied'], ['Cybersecurity', 'CISO', 'Applied'],
+    ['Human Resources', 'HR Director', 'Acquired'], ['Human Resources', 'HR Business Partner', 'Applied']
+];
+
+const RISKS = [
+    ['Office 365', 'Data loss during migration', 'Medium', 'High', 'Comprehensive backup'],
+    ['Network', 'Network connectivity issues', 'Medium', 'High', 'Redundant connections'],
+    ['Cybersecurity', 'Security vulnerabilities', 'High', 'High', 'Security assessment'],
+    ['Human Resources', 'Incomplete employee records', 'Medium', 'High', 'Cross-reference multiple systems and conduct manager verification'],
+    ['Human Resources', 'Policy compliance gaps', 'Medium', 'Medium', 'Legal review of all consolidated policies before rollout']
+];
+
+module.exports = {
+    description: 'Add default contacts and risks',
+    async up({ run, log }) {
+        await run(`CREATE TABLE IF NOT EXISTS default_contacts (id INTEGER PRIMARY KEY AUTOINCREMENT, workstream TEXT NOT NULL, role TEXT NOT NULL, company TEXT, sort_order INTEGER DEFAULT 0, active INTEGER DEFAULT 1)`);
+        await run(`CREATE TABLE IF NOT EXISTS default_risks (id INTEGER PRIMARY KEY AUTOINCREMENT, workstream TEXT NOT NULL, description TEXT NOT NULL, likelihood TEXT DEFAULT 'Medium', impact TEXT DEFAULT 'Medium', mitigation TEXT, sort_order INTEGER DEFAULT 0, active INTEGER DEFAULT 1)`);
+        for (const [i, c] of CONTACTS.entries()) await run("INSERT INTO default_contacts (workstream, role, company, sort_order) VALUES (?,?,?,?)", [...c, i + 1]);
+        for (const [i, r] of RISKS.entries()) await run("INSERT INTO default_risks (workstream, description, likelihood, impact, mitigation, sort_order) VALUES (?,?,?,?,?,?)", [...r, i + 1]);
+        log(`  ✅ ${CONTACTS.length} default contacts and ${RISKS.length} default risks added`);
+    }
+};
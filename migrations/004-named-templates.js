@@ -0,0 +1,37 @@
+/**
+ * Migration 004: Named Project Templates
+ *
+ * Template data (workstreams, default tasks, contacts and risks) now belongs to a named
+ * template, so the same workstream name or task ID can appear in more than one template.
+ * Everything that exists today becomes the "Standard" template, which is the default.
+ * SQLite can't change a table's keys in place, so default_workstreams and default_tasks
+ * are rebuilt.
+ */
+
+module.exports = {
+    description: 'Add named project templates',
+    async up({ run, get, log, dryRun }) {
+        await run(`CREATE TABLE IF NOT EXISTS templates (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL, description TEXT, is_default INTEGER DEFAULT 0, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+        await run("INSERT INTO templates (name, description, is_default) VALUES (?, ?, 1)", ['Standard', 'Full IT integration across every workstream']);
+        // In a dry run the table above doesn't exist yet
+        const tid = dryRun ? 1 : (await get("SELECT id FROM templates WHERE is_default=1"))?.id || 1;
+
+        await run(`CREATE TABLE default_workstreams_new (id INTEGER PRIMARY KEY AUTOINCREMENT, template_id INTEGER NOT NULL, name TEXT NOT NULL, color TEXT DEFAULT '#718096', sort_order INTEGER DEFAULT 0, active INTEGER DEFAULT 1, UNIQUE (template_id, name))`);
+        await run(`INSERT INTO default_workstreams_new (id, template_id, name, color, sort_order, active) SELECT id, ?, name, color, sort_order, active FROM default_workstreams`, [tid]);
+        await run(`DROP TABLE default_workstreams`);
+        await run(`ALTER TABLE default_workstreams_new RENAME TO default_workstreams`);
+
+        await run(`CREATE TABLE default_tasks_new (id TEXT NOT NULL, template_id INTEGER NOT NULL, workstream TEXT NOT NULL, name TEXT NOT NULL, description TEXT, priority TEXT DEFAULT 'Medium', dependencies TEXT, sort_order INTEGER DEFAULT 0, active INTEGER DEFAULT 1, PRIMARY KEY (template_id, id))`);
+        await run(`INSERT INTO default_tasks_new (id, template_id, workstream, name, description, priority, dependencies, sort_order, active) SELECT id, ?, workstream, name, description, priority, dependencies, sort_order, active FROM default_tasks`, [tid]);
+        await run(`DROP TABLE default_tasks`);
+        await run(`ALTER TABLE default_tasks_new RENAME TO default_tasks`);
+
+        for (const table of ['default_contacts', 'default_risks']) {
+            await run(`ALTER TABLE ${table} ADD COLUMN template_id INTEGER`);
+            await run(`UPDATE ${table} SET template_id=?`, [tid]);
+        }
+        await run(`ALTER TABLE projects ADD COLUMN template_id INTEGER`);
+        await run(`UPDATE projects SET template_id=?`, [tid]);
+        log('  ✅ Existing template data moved into the "Standard" template');
+    }
+};
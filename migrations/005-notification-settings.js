@@ -0,0 +1,16 @@
+/**
+ * Migration 005: Notification Settings
+ *
+ * Per-user opt-outs for assignment, blocked-task and daily digest emails (all on by
+ * default), and the date each user last got a digest so a restart never sends two.
+ */
+
+module.exports = {
+    description: 'Add email notification settings',
+    async up({ run }) {
+        await run(`ALTER TABLE users ADD COLUMN notify_assigned INTEGER DEFAULT 1`);
+        await run(`ALTER TABLE users ADD COLUMN notify_blocked INTEGER DEFAULT 1`);
+        await run(`ALTER TABLE users ADD COLUMN notify_digest INTEGER DEFAULT 1`);
+        await run(`ALTER TABLE users ADD COLUMN digest_sent_on TEXT`);
+    }
+};
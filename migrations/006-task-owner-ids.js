@@ -0,0 +1,48 @@
+/**
+ * Migration 006: Task Owner IDs
+ *
+ * Task owners were free-text names matched against display_name || username, so renaming
+ * a user orphaned their tasks. Owners are now a user (owner_id) or a project contact
+ * (owner_contact_id); tasks.owner keeps the name for display. Existing names are linked
+ * when they match exactly one user, or else exactly one contact in the task's project.
+ * Names that match nothing, or more than one person, are listed and left as unlinked text
+ * until someone picks an owner for those tasks.
+ */
+
+module.exports = {
+    description: 'Link task owners to users and project contacts',
+    async up({ run, all, log, dryRun }) {
+        await run(`ALTER TABLE tasks ADD COLUMN owner_id INTEGER`);
+        await run(`ALTER TABLE tasks ADD COLUMN owner_contact_id INTEGER`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_tasks_owner ON tasks(owner_id)`);
+
+        const users = await all("SELECT id, username, display_name FROM users");
+        const owners = await all(`SELECT t.project_id, t.owner, p.name as project_name, COUNT(*) as n FROM tasks t LEFT JOIN projects p ON p.id=t.project_id
+            WHERE t.owner IS NOT NULL AND TRIM(t.owner)<>'' GROUP BY t.project_id, t.owner ORDER BY p.name, t.owner`);
+        const same = (a, b) => (a || '').trim().toLowerCase() === b.trim().toLowerCase();
+        let linked = 0;
+        const unmatched = [];
+        for (const o of owners) {
+            const byUsername = users.filter(u => same(u.username, o.owner));
+            const byName = users.filter(u => same(u.display_name, o.owner));
+            const user = byUsername.length === 1 ? byUsername[0] : byName.length === 1 ? byName[0] : null;
+            if (user) {
+                await run("UPDATE tasks SET owner_id=? WHERE project_id=? AND owner=?", [user.id, o.project_id, o.owner]);
+                linked += o.n;
+                continue;
+            }
+            const contacts = byName.length ? [] : (await all("SELECT id, name FROM contacts WHERE project_id=?", [o.project_id])).filter(c => same(c.name, o.owner));
+            if (contacts.length === 1) {
+                await run("UPDATE tasks SET owner_contact_id=? WHERE project_id=? AND owner=?", [contacts[0].id, o.project_id, o.owner]);
+                linked += o.n;
+                continue;
+            }
+            unmatched.push(`"${o.owner}" — ${o.n} task${o.n === 1 ? '' : 's'} in ${o.project_name || 'project ' + o.project_id}${byName.length > 1 || contacts.length > 1 ? ' (matches more than one person)' : ''}`);
+        }
+        log(`  ✅ ${linked} task${linked === 1 ? '' : 's'} ${dryRun ? 'would be linked' : 'linked'} to a user or contact`);
+        if (unmatched.length) {
+            log(`  ⚠️  ${unmatched.length} owner name${unmatched.length === 1 ? '' : 's'} could not be linked and stay as plain text:`);
+            unmatched.forEach(u => log(`     ${u}`));
+        }
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 007: Webhooks
+ *
+ * Admin-managed subscriptions that receive task, risk, contact and project events,
+ * and a log of every delivery attempt so failed ones can be retried and inspected.
+ */
+
+module.exports = {
+    description: 'Add webhook subscriptions and delivery log',
+    async up({ run }) {
+        await run(`CREATE TABLE IF NOT EXISTS webhooks (id INTEGER PRIMARY KEY AUTOINCREMENT, url TEXT NOT NULL, description TEXT, secret TEXT NOT NULL, events TEXT NOT NULL DEFAULT '*', project_id INTEGER, active INTEGER DEFAULT 1, created_by TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+        await run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (id INTEGER PRIMARY KEY AUTOINCREMENT, webhook_id INTEGER NOT NULL, event TEXT NOT NULL, payload TEXT NOT NULL, status TEXT DEFAULT 'pending', attempts INTEGER DEFAULT 0, next_attempt_at INTEGER, response_status INTEGER, response_body TEXT, error TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, last_attempt_at DATETIME)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, id)`);
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 008: Personal API Tokens
+ *
+ * Long-lived tokens for scripts and integrations, owned by a user and accepted wherever a
+ * session token is. Only a hash of each token is stored. A token can be read-only and/or
+ * limited to a list of projects (project_ids, comma-separated; NULL means all of the
+ * owner's projects).
+ */
+
+module.exports = {
+    description: 'Add personal API tokens',
+    async up({ run }) {
+        await run(`CREATE TABLE IF NOT EXISTS api_tokens (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, name TEXT NOT NULL, token_hash TEXT UNIQUE NOT NULL, prefix TEXT, read_only INTEGER DEFAULT 0, project_ids TEXT, expires_at INTEGER, last_used_at DATETIME, last_used_ip TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id)`);
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 009: Full-Text Search Index
+ *
+ * FTS5 indexes over tasks (name, description, notes), risks (description, mitigation),
+ * contacts (name, email, role, company) and attachment file names. Each index uses its
+ * table as external content, so only the search terms are stored, and triggers keep it
+ * in step with every insert, update and delete, whichever code path makes the change.
+ * Tasks and risks have no INTEGER PRIMARY KEY, so a VACUUM can renumber their rowids;
+ * the server rebuilds the indexes on startup to stay safe.
+ */
+
+// table → [index name, indexed columns]
+const INDEXES = {
+    tasks: ['tasks_fts', ['name', 'description', 'notes']],
+    risks: ['risks_fts', ['description', 'mitigation']],
+    contacts: ['contacts_fts', ['name', 'email', 'role', 'company']],
+    task_attachments: ['attachments_fts', ['original_name']]
+};
+
+module.exports = {
+    description: 'Add full-text search indexes',
+    async up({ run }) {
+        for (const [table, [fts, cols]] of Object.entries(INDEXES)) {
+            const list = cols.join(', '), oldVals = cols.map(c => 'old.' + c).join(', '), newVals = cols.map(c => 'new.' + c).join(', ');
+            await run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts5(${list}, content='${table}', tokenize='unicode61 remove_diacritics 2', prefix='2 3')`);
+            await run(`CREATE TRIGGER IF NOT EXISTS ${fts}_ai AFTER INSERT ON ${table} BEGIN INSERT INTO ${fts}(rowid, ${list}) VALUES (new.rowid, ${newVals}); END`);
+            await run(`CREATE TRIGGER IF NOT EXISTS ${fts}_ad AFTER DELETE ON ${table} BEGIN INSERT INTO ${fts}(${fts}, rowid, ${list}) VALUES ('delete', old.rowid, ${oldVals}); END`);
+            await run(`CREATE TRIGGER IF NOT EXISTS ${fts}_au AFTER UPDATE OF ${list} ON ${table} BEGIN
+                INSERT INTO ${fts}(${fts}, rowid, ${list}) VALUES ('delete', old.rowid, ${oldVals});
+                INSERT INTO ${fts}(rowid, ${list}) VALUES (new.rowid, ${newVals}); END`);
+            await run(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`);
+        }
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration 010: Comments and @mentions
+ *
+ * Discussion threads on tasks and risks, so conversations no longer live in (and get
+ * overwritten in) the notes column. A comment with a parent_id is a reply; replies are
+ * one level deep. comment_mentions records who was @mentioned and when they read it,
+ * and users get a setting for mention emails.
+ */
+
+module.exports = {
+    description: 'Add task and risk comments with @mentions',
+    async up({ run }) {
+        await run(`CREATE TABLE IF NOT EXISTS comments (id INTEGER PRIMARY KEY AUTOINCREMENT, project_id INTEGER NOT NULL, entity_type TEXT NOT NULL, entity_id TEXT NOT NULL, parent_id INTEGER, user_id INTEGER, author TEXT, body TEXT NOT NULL, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_comments_entity ON comments(project_id, entity_type, entity_id)`);
+        await run(`CREATE TABLE IF NOT EXISTS comment_mentions (comment_id INTEGER NOT NULL, user_id INTEGER NOT NULL, read_at DATETIME, PRIMARY KEY (comment_id, user_id))`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_comment_mentions_user ON comment_mentions(user_id, read_at)`);
+        await run(`ALTER TABLE users ADD COLUMN notify_mentioned INTEGER DEFAULT 1`);
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 011: Risk Scoring and Lifecycle
+ *
+ * Risks get a status (Open, Mitigating, Accepted, Closed), a target date, the IDs of the
+ * tasks that mitigate them, and the time they were closed. Existing risks start as Open.
+ * Likelihood and impact move to a five-point scale (Very Low … Very High) so they can be
+ * scored; Low, Medium and High keep their meaning and only their spelling is tidied up.
+ * Values that aren't on the scale are listed and left alone; those risks show as unscored
+ * until someone rates them.
+ */
+
+const LEVELS = ['Very Low', 'Low', 'Medium', 'High', 'Very High'];
+
+module.exports = {
+    description: 'Add risk status, target dates, mitigation tasks and five-point scoring',
+    async up({ run, all, log }) {
+        await run(`ALTER TABLE risks ADD COLUMN status TEXT DEFAULT 'Open'`);
+        await run(`ALTER TABLE risks ADD COLUMN target_date TEXT`);
+        await run(`ALTER TABLE risks ADD COLUMN mitigation_tasks TEXT`);
+        await run(`ALTER TABLE risks ADD COLUMN closed_at DATETIME`);
+
+        for (const table of ['risks', 'default_risks']) {
+            for (const col of ['likelihood', 'impact']) {
+                for (const level of LEVELS) await run(`UPDATE ${table} SET ${col}=? WHERE LOWER(TRIM(${col}))=? AND ${col}<>?`, [level, level.toLowerCase(), level]);
+            }
+        }
+        const odd = await all(`SELECT r.id, r.likelihood, r.impact, p.name as project_name FROM risks r LEFT JOIN projects p ON p.id=r.project_id
+            WHERE COALESCE(LOWER(TRIM(r.likelihood)),'') NOT IN ('',${LEVELS.map(() => '?').join(',')})
+               OR COALESCE(LOWER(TRIM(r.impact)),'') NOT IN ('',${LEVELS.map(() => '?').join(',')}) ORDER BY p.name, r.id`,
+            [...LEVELS, ...LEVELS].map(l => l.toLowerCase()));
+        if (odd.length) {
+            log(`  ⚠️  ${odd.length} risk${odd.length === 1 ? ' has' : 's have'} a likelihood or impact that isn't on the scale and will show as unscored:`);
+            odd.forEach(r => log(`     ${r.id} in ${r.project_name || 'unknown project'} — likelihood "${r.likelihood}", impact "${r.impact}"`));
+        }
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 012: Schedule Baselines
+ *
+ * A baseline is a named snapshot of a project's task dates and percent complete, taken
+ * by a team lead (e.g. "Kickoff" or "Re-plan after Day 1"). baseline_tasks keeps each
+ * task's name, workstream, status, dates and progress as they were, so the current plan
+ * can be compared against it even after tasks are edited, moved or deleted.
+ */
+
+module.exports = {
+    description: 'Add schedule baselines',
+    async up({ run }) {
+        await run(`CREATE TABLE IF NOT EXISTS baselines (id INTEGER PRIMARY KEY AUTOINCREMENT, project_id INTEGER NOT NULL, name TEXT NOT NULL, description TEXT, user_id INTEGER, author TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, UNIQUE(project_id, name))`);
+        await run(`CREATE TABLE IF NOT EXISTS baseline_tasks (baseline_id INTEGER NOT NULL, task_id TEXT NOT NULL, name TEXT, workstream TEXT, status TEXT, start_date TEXT, due_date TEXT, percent_complete INTEGER, PRIMARY KEY (baseline_id, task_id))`);
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration 013: Task Checklists
+ *
+ * Tasks get checklist items. An item with a recurrence (daily, weekly, fortnightly or
+ * monthly) and a due date comes round again: once its due date has passed, a checked item
+ * is unchecked and moved to its next due date. tasks.auto_progress makes percent_complete
+ * follow the share of one-off items that are checked. Template tasks carry their checklist
+ * in default_tasks.checklist (JSON: [{ title, recurrence }]), copied into new projects.
+ */
+
+module.exports = {
+    description: 'Add task checklists, recurring items and checklist-driven progress',
+    async up({ run }) {
+        await run(`CREATE TABLE IF NOT EXISTS task_checklist_items (id INTEGER PRIMARY KEY AUTOINCREMENT, project_id INTEGER NOT NULL, task_id TEXT NOT NULL, title TEXT NOT NULL, done INTEGER DEFAULT 0, done_at DATETIME, done_by TEXT, recurrence TEXT, due_date TEXT, sort_order INTEGER DEFAULT 0, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_checklist_task ON task_checklist_items(project_id, task_id)`);
+        await run(`ALTER TABLE tasks ADD COLUMN auto_progress INTEGER DEFAULT 0`);
+        await run(`ALTER TABLE default_tasks ADD COLUMN checklist TEXT`);
+    }
+};
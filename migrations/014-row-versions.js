@@ -0,0 +1,17 @@
+/**
+ * Migration 014: Row Versions
+ *
+ * Tasks, risks, contacts and projects get a version number that goes up by one on every
+ * write. Clients send back the version they loaded (in the body or as an If-Match header),
+ * so an update based on a row someone else has since changed is refused instead of quietly
+ * overwriting their edit. Existing rows start at version 1.
+ */
+
+module.exports = {
+    description: 'Add version numbers to tasks, risks, contacts and projects',
+    async up({ run }) {
+        for (const table of ['tasks', 'risks', 'contacts', 'projects']) {
+            await run(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+        }
+    }
+};
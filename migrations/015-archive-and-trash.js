@@ -0,0 +1,20 @@
+/**
+ * Migration 015: Archived Projects and the Trash
+ *
+ * A project can be archived once its integration is finished: it drops out of the default project
+ * list and becomes read-only until it is unarchived. Deleting a project or a task now moves it to
+ * the trash (deleted_at / deleted_by) instead of removing it, so it can be restored until it is
+ * purged by hand or after TRASH_DAYS. Existing projects and tasks start out neither archived nor deleted.
+ */
+
+module.exports = {
+    description: 'Add project archiving and a trash for deleted projects and tasks',
+    async up({ run }) {
+        await run(`ALTER TABLE projects ADD COLUMN archived_at DATETIME`);
+        await run(`ALTER TABLE projects ADD COLUMN archived_by TEXT`);
+        await run(`ALTER TABLE projects ADD COLUMN deleted_at DATETIME`);
+        await run(`ALTER TABLE projects ADD COLUMN deleted_by TEXT`);
+        await run(`ALTER TABLE tasks ADD COLUMN deleted_at DATETIME`);
+        await run(`ALTER TABLE tasks ADD COLUMN deleted_by TEXT`);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 016: Daily Project Snapshots
+ *
+ * The portfolio view shows how each project's progress, overdue and blocked tasks and open
+ * high risks have moved over time. Those figures are only ever known for "now", so the server
+ * records one row per active project per day (kept up to date through the day, so the last
+ * value of a day sticks). Trends start on the day of the upgrade; there is no history to backfill.
+ */
+
+module.exports = {
+    description: 'Add daily project snapshots for portfolio trends',
+    async up({ run }) {
+        await run(`CREATE TABLE IF NOT EXISTS project_snapshots (project_id INTEGER NOT NULL, day TEXT NOT NULL, tasks INTEGER DEFAULT 0, completed INTEGER DEFAULT 0, progress REAL DEFAULT 0, overdue INTEGER DEFAULT 0, blocked INTEGER DEFAULT 0, open_high_risks INTEGER DEFAULT 0, PRIMARY KEY (project_id, day))`);
+    }
+};
@@ -5,6 +5,10 @@ const path = require('path');
 const crypto = require('crypto');
 const fs = require('fs');
 const multer = require('multer');
+const XLSX = require('xlsx');
+const nodemailer = require('nodemailer');
+const { runMigrations } = require('./migrate');
+const { createBackup, listBackups, verifyBackup, checkIntegrity, BACKUP_RE } = require('./backup');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,30 +33,135 @@ const upload = multer({
     }
 });
 
-app.use(cors({ origin: process.env.CORS_ORIGIN || true }));
+// Workbook imports are parsed in memory and never written to the uploads folder
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (/\.xlsx$/i.test(file.originalname)) cb(null, true);
+        else cb(new Error('Only .xlsx workbooks can be imported'), false);
+    }
+});
+
+app.use(cors({ origin: process.env.CORS_ORIGIN || true, exposedHeaders: ['ETag'] }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(uploadDir));
 
-const db = new sqlite3.Database(process.env.DB_PATH || './tracker.db', (err) => {
+const conn = new sqlite3.Database(process.env.DB_PATH || './tracker.db', (err) => {
     if (err) console.error('Database error:', err);
     else { console.log('Connected to SQLite'); initDB(); }
 });
 
-const hash = p => crypto.createHash('sha256').update(p).digest('hex');
+// Everything but transaction() and exclusive() talks to `conn` through `db`. Statements run as they come,
+// except while a transaction is open or waiting to start: then they queue behind it, so nothing from outside
+// can end up inside one (and be rolled back with it). A transaction waits for running statements and runs
+// alone. The queue keeps order, and statements issued inside db.serialize() still run one after another.
+// VACUUM (backups) can't run beside other statements either, so it waits its turn the same way.
+const dbQueue = [];
+let dbActive = 0, txOpen = false, inSerialize = false;
+
+function pumpDb() {
+    while (dbQueue.length && !txOpen) {
+        if (dbQueue[0].tx && dbActive) return;
+        dbQueue.shift().start();
+    }
+}
+
+function dbStatement(method) {
+    return (sql, ...args) => {
+        const cb = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        if (/^\s*VACUUM\b/i.test(sql)) {
+            return exclusive(() => new Promise(resolve => conn[method](sql, ...args, function(...result) {
+                resolve();
+                if (cb) cb.apply(this, result);
+                else if (result[0]) console.error('Database error:', result[0]);
+            })));
+        }
+        const serial = inSerialize;
+        const start = () => {
+            dbActive++;
+            const call = () => conn[method](sql, ...args, function(e, ...rest) {
+                dbActive--;
+                pumpDb();
+                if (cb) cb.call(this, e, ...rest);
+                else if (e) console.error('Database error:', e);
+            });
+            serial ? conn.serialize(call) : call();
+        };
+        if (dbQueue.length || txOpen) dbQueue.push({ start });
+        else start();
+    };
+}
+
+const db = {
+    run: dbStatement('run'),
+    get: dbStatement('get'),
+    all: dbStatement('all'),
+    serialize(fn) {
+        conn.serialize(() => {
+            inSerialize = true;
+            try { fn(); } finally { inSerialize = false; }
+        });
+    }
+};
+
+// Passwords are hashed with scrypt and a per-user salt, stored as scrypt$N$r$p$salt$key so the
+// parameters travel with each row and can be raised later without invalidating existing hashes.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+// Verified against when the username doesn't exist, so response time doesn't reveal valid usernames
+const DUMMY_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEYLEN * 2)}`;
+const legacyHash = p => crypto.createHash('sha256').update(p).digest('hex');
+
+function hashPassword(password, cb) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p, maxmem: 256 * N * r }, (e, key) => {
+        if (e) return cb(e);
+        cb(null, `scrypt$${N}$${r}$${p}$${salt.toString('hex')}$${key.toString('hex')}`);
+    });
+}
+
+// cb(err, ok, needsRehash) — needsRehash is set for legacy SHA-256 hashes and outdated scrypt parameters
+function verifyPassword(password, stored, cb) {
+    if (typeof password !== 'string' || !stored) return cb(null, false, false);
+    const parts = stored.split('$');
+    if (parts[0] !== 'scrypt') {
+        // Unsalted SHA-256 from v2.2 and earlier
+        const a = Buffer.from(legacyHash(password)), b = Buffer.from(stored);
+        return cb(null, a.length === b.length && crypto.timingSafeEqual(a, b), true);
+    }
+    const [, N, r, p, salt, key] = parts;
+    const expected = Buffer.from(key, 'hex');
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), expected.length, { N: +N, r: +r, p: +p, maxmem: 256 * N * r }, (e, derived) => {
+        if (e) return cb(e);
+        const ok = crypto.timingSafeEqual(derived, expected);
+        cb(null, ok, ok && (+N !== SCRYPT_PARAMS.N || +r !== SCRYPT_PARAMS.r || +p !== SCRYPT_PARAMS.p));
+    });
+}
+
 const genToken = () => crypto.randomBytes(32).toString('hex');
-const sessions = new Map();
+// Session tokens are stored hashed so a copy of the database can't be used to hijack sessions
+const hashToken = t => crypto.createHash('sha256').update(t).digest('hex');
+const SESSION_TTL_MS = 86400000; // 24 hours, extended on activity
+const SESSION_TOUCH_MS = 300000; // only write the sliding expiry every 5 minutes
 
 // Clean up expired sessions every hour
 setInterval(() => {
-    const now = Date.now();
-    let cleaned = 0;
-    for (const [token, session] of sessions) {
-        if (session.expires < now) { sessions.delete(token); cleaned++; }
-    }
-    if (cleaned > 0) console.log(`Session cleanup: removed ${cleaned} expired sessions`);
+    db.run("DELETE FROM sessions WHERE expires < ?", [Date.now()], function(e) {
+        if (e) return console.error('Session cleanup error:', e);
+        if (this.changes > 0) console.log(`Session cleanup: removed ${this.changes} expired sessions`);
+    });
 }, 3600000);
 
+function revokeUserSessions(userId, cb) {
+    db.run("DELETE FROM sessions WHERE user_id=?", [userId], function(e) {
+        if (!e) closeLiveStreams(s => s.userId === parseInt(userId) && s.sessionId);
+        if (cb) cb(e, e ? 0 : this.changes);
+    });
+}
+
 const ROLES = {
     readonly: { level: 1, canRead: true, canEdit: false, canAddTasks: false, canAdmin: false },
     edit: { level: 2, canRead: true, canEdit: true, canAddTasks: false, canAdmin: false },
@@ -60,22 +169,667 @@ const ROLES = {
     admin: { level: 4, canRead: true, canEdit: true, canAddTasks: true, canAdmin: true }
 };
 
+// Personal API tokens start with this so auth() can tell them from session tokens
+const API_TOKEN_PREFIX = 'itt_';
+
 function auth(req, res, next) {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) return res.status(401).json({ error: 'Auth required' });
-    const s = sessions.get(token);
-    if (!s || s.expires < Date.now()) { sessions.delete(token); return res.status(401).json({ error: 'Session expired' }); }
-    req.user = s.user; req.role = ROLES[s.user.role] || ROLES.readonly;
+    if (token.startsWith(API_TOKEN_PREFIX)) return apiTokenAuth(req, res, next, token);
+    db.get(`SELECT s.id as session_id, s.expires, u.id, u.username, u.display_name, u.email, u.role FROM sessions s JOIN users u ON u.id=s.user_id WHERE s.token_hash=? AND u.active=1`, [hashToken(token)], (e, s) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!s || s.expires < Date.now()) {
+            if (s) db.run("DELETE FROM sessions WHERE id=?", [s.session_id]);
+            return res.status(401).json({ error: 'Session expired' });
+        }
+        // Sliding expiry
+        if (s.expires - Date.now() < SESSION_TTL_MS - SESSION_TOUCH_MS) {
+            db.run("UPDATE sessions SET expires=?,last_seen=CURRENT_TIMESTAMP WHERE id=?", [Date.now() + SESSION_TTL_MS, s.session_id]);
+        }
+        req.sessionId = s.session_id;
+        req.user = { id: s.id, username: s.username, display_name: s.display_name, email: s.email, role: s.role };
+        req.role = ROLES[s.role] || ROLES.readonly;
+        next();
+    });
+}
+
+// Read-only tokens can only make GET requests, so they keep their role's level (an admin's read-only
+// token can still read admin endpoints) but report no edit permissions. req.user.token describes the
+// token so projectAccess, visibleProjects and reqRole can apply its project limit.
+const tokenRole = (role, token) => token?.read_only ? { ...(ROLES[role] || ROLES.readonly), canEdit: false, canAddTasks: false } : ROLES[role] || ROLES.readonly;
+
+function apiTokenAuth(req, res, next, token) {
+    db.get(`SELECT t.id as token_id, t.name as token_name, t.read_only, t.project_ids, t.expires_at, u.id, u.username, u.display_name, u.email, u.role
+        FROM api_tokens t JOIN users u ON u.id=t.user_id WHERE t.token_hash=? AND u.active=1`, [hashToken(token)], (e, t) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!t) return res.status(401).json({ error: 'Invalid API token' });
+        if (t.expires_at && t.expires_at < Date.now()) return res.status(401).json({ error: 'API token expired' });
+        if (t.read_only && !['GET', 'HEAD'].includes(req.method)) return res.status(403).json({ error: 'This API token is read-only' });
+        db.run("UPDATE api_tokens SET last_used_at=CURRENT_TIMESTAMP,last_used_ip=? WHERE id=? AND (last_used_at IS NULL OR last_used_at < datetime('now','-1 minute'))", [req.ip, t.token_id]);
+        req.user = { id: t.id, username: t.username, display_name: t.display_name, email: t.email, role: t.role,
+            token: { id: t.token_id, name: t.token_name, read_only: !!t.read_only, project_ids: t.project_ids ? t.project_ids.split(',').map(Number) : null } };
+        req.role = tokenRole(t.role, req.user.token);
+        next();
+    });
+}
+
+// For routes an API token must never reach: managing tokens and passwords, and backups (which hold
+// the whole database, secrets included), need a real sign-in
+function sessionOnly(req, res, next) {
+    if (req.user.token) return res.status(403).json({ error: 'Not available with an API token — sign in instead' });
     next();
 }
 
 function reqRole(min) {
     return (req, res, next) => {
         if (!req.role || req.role.level < ROLES[min].level) return res.status(403).json({ error: `Requires ${min}` });
+        // Project-limited tokens stay inside their projects, so no global admin routes
+        if (min === 'admin' && !req.projectRole && req.user.token?.project_ids) return res.status(403).json({ error: 'This API token is limited to specific projects' });
+        next();
+    };
+}
+
+// Resolves the caller's role for the project in :pid (or :id). Global admins can open every project;
+// everyone else needs a project_members row, and its role replaces their global role inside the project.
+// Projects in the trash are 404 and archived projects are read-only, except on the routes that opt in below.
+function projectAccess(req, res, next) {
+    const pid = req.params.pid || req.params.id;
+    const token = req.user.token;
+    if (token?.project_ids && !token.project_ids.includes(parseInt(pid))) return res.status(403).json({ error: 'This API token is limited to other projects' });
+    db.get(`SELECT p.archived_at, p.deleted_at, m.role FROM projects p LEFT JOIN project_members m ON m.project_id=p.id AND m.user_id=? WHERE p.id=?`, [req.user.id, pid], (e, p) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (req.user.role === 'admin') req.projectRole = 'admin';
+        else {
+            if (!p?.role) return res.status(403).json({ error: 'You are not a member of this project' });
+            req.projectRole = p.role;
+            req.role = tokenRole(p.role, token);
+        }
+        if (!p || (p.deleted_at && !req.allowDeleted)) return res.status(404).json({ error: 'Not found' });
+        if (p.archived_at) {
+            if (!['GET', 'HEAD'].includes(req.method) && !req.allowArchived) return res.status(403).json({ error: 'This project is archived and read-only — unarchive it to make changes' });
+            req.role = { ...req.role, canEdit: false, canAddTasks: false };
+        }
+        next();
+    });
+}
+
+// Put before projectAccess on the routes that still work on an archived project, or on one in the trash
+const allowArchived = (req, res, next) => { req.allowArchived = true; next(); };
+const allowDeleted = (req, res, next) => { req.allowDeleted = true; next(); };
+
+// SQL fragment limiting a project id column to projects the user (and their API token, if any) can see.
+// Projects in the trash are never visible.
+const visibleProjects = (user, col) => {
+    const member = `${col} IN (SELECT id FROM projects WHERE deleted_at IS NULL)` + (user.role === 'admin' ? '' : ` AND ${col} IN (SELECT project_id FROM project_members WHERE user_id=${parseInt(user.id)})`);
+    return user.token?.project_ids ? `${member} AND ${col} IN (${user.token.project_ids.map(id => parseInt(id)).join(',')})` : member;
+};
+
+// AUDIT TRAIL - field-level before/after history for tasks, risks, contacts, projects and users
+const AUDIT_IGNORE = ['updated_at', 'updated_by', 'password', 'secret', 'created_at', 'last_login', 'version'];
+
+function diffRows(before, after) {
+    const norm = v => (v === undefined || v === '' ? null : v);
+    const changes = {};
+    Object.keys(after).forEach(k => {
+        if (AUDIT_IGNORE.includes(k)) return;
+        const from = norm(before?.[k]), to = norm(after[k]);
+        if (String(from) !== String(to)) changes[k] = { from, to };
+    });
+    return changes;
+}
+
+function snapshot(row) {
+    const out = {};
+    Object.keys(row || {}).forEach(k => { if (!AUDIT_IGNORE.includes(k)) out[k] = row[k]; });
+    return out;
+}
+
+// action: 'create' and 'delete' record a snapshot of the row, 'update' records only the changed fields
+function audit(req, entityType, entityId, projectId, action, before, after) {
+    const changes = action === 'update' ? diffRows(before, after) : snapshot(after || before);
+    if (action === 'update' && !Object.keys(changes).length) return;
+    db.run(`INSERT INTO audit_log (project_id,entity_type,entity_id,action,changes,user_id,username) VALUES (?,?,?,?,?,?,?)`,
+        [projectId || null, entityType, String(entityId), action, JSON.stringify(changes), req.user?.id, req.user?.username],
+        (e) => { if (e) console.error('Audit log error:', e); });
+    emitWebhookEvent(req, entityType, entityId, projectId, action, before, after, changes);
+    publishChange(req, entityType, entityId, projectId, action, before, after);
+}
+
+// Shared filters for history/activity queries: ?user=&entity=&entity_id=&action=&from=&to=&limit=&offset=
+function auditQuery(where, params, q) {
+    if (q.user) { where.push('username=?'); params.push(q.user); }
+    if (q.entity) { where.push('entity_type=?'); params.push(q.entity); }
+    if (q.entity_id) { where.push('entity_id=?'); params.push(q.entity_id); }
+    if (q.action) { where.push('action=?'); params.push(q.action); }
+    if (q.from) { where.push('date(created_at)>=?'); params.push(q.from); }
+    if (q.to) { where.push('date(created_at)<=?'); params.push(q.to); }
+    const limit = Math.max(1, Math.min(parseInt(q.limit) || 100, 500)), offset = Math.max(0, parseInt(q.offset) || 0);
+    return `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`;
+}
+
+function sendAudit(res) {
+    return (e, rows) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json((rows || []).map(r => ({ ...r, changes: r.changes ? JSON.parse(r.changes) : null })));
+    };
+}
+
+// DEPENDENCIES - the dependencies column holds task IDs separated by commas, semicolons or spaces
+const parseDeps = str => [...new Set(String(str || '').split(/[\s,;]+/).map(d => d.trim().toUpperCase()).filter(Boolean))];
+// Task IDs are stored as typed, so lookups of parsed dependencies go through the same upper-cased key
+const depKey = id => String(id).toUpperCase();
+
+// Depth-first walk from `start` through `graph` (Map id → [dependency ids]); returns the loop as a path, or null
+function findCycle(graph, start) {
+    const seen = new Set();
+    const walk = (id, trail) => {
+        for (const d of graph.get(id) || []) {
+            if (d === start) return [...trail, d];
+            if (seen.has(d)) continue;
+            seen.add(d);
+            const found = walk(d, [...trail, d]);
+            if (found) return found;
+        }
+        return null;
+    };
+    return walk(start, [start]);
+}
+
+// Check `task`'s dependencies against the other rows in its project (or template)
+function validateDependencies(rows, task) {
+    const self = depKey(task.id);
+    const byId = new Map(rows.filter(r => depKey(r.id) !== self).map(r => [depKey(r.id), r]));
+    byId.set(self, task);
+    const deps = parseDeps(task.dependencies);
+    const graph = new Map([...byId].map(([id, r]) => [id, parseDeps(r.dependencies).filter(d => byId.has(d))]));
+    const cycle = findCycle(graph, self);
+    return {
+        unknown: deps.filter(d => !byId.has(d)),
+        cycle: cycle && cycle.map(id => byId.get(id).id),
+        crossWorkstream: deps.filter(d => byId.has(d) && byId.get(d).workstream !== task.workstream).map(d => `${task.id} depends on ${byId.get(d).id} from ${byId.get(d).workstream}`),
+        predecessors: deps.filter(d => byId.has(d) && d !== self).map(d => byId.get(d))
+    };
+}
+
+// Rejects unknown IDs and cycles (only when the dependency list changed, so legacy data doesn't block
+// unrelated edits) and refuses to start/complete a task whose predecessors aren't Complete unless
+// the client sends force: true. Calls next(warnings) when the change may proceed.
+function checkTaskDependencies(req, res, task, before, next) {
+    db.all("SELECT id,name,workstream,status,dependencies FROM tasks WHERE project_id=? AND deleted_at IS NULL", [req.params.pid], (e, rows) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        const v = validateDependencies(rows || [], task);
+        const depsChanged = !before || parseDeps(before.dependencies).join() !== parseDeps(task.dependencies).join();
+        if (depsChanged && v.unknown.length) return res.status(400).json({ error: `Unknown dependencies: ${v.unknown.join(', ')}`, unknown: v.unknown });
+        if (depsChanged && v.cycle) return res.status(400).json({ error: `Dependency cycle: ${v.cycle.join(' → ')}`, cycle: v.cycle });
+        const starting = ['In Progress', 'Complete'].includes(task.status) && task.status !== before?.status;
+        const blockedBy = starting ? v.predecessors.filter(p => p.status !== 'Complete') : [];
+        if (blockedBy.length && !req.body.force) {
+            return res.status(409).json({ error: `${task.id} is waiting on ${blockedBy.map(p => p.id).join(', ')}`, blockedBy: blockedBy.map(p => ({ id: p.id, name: p.name, status: p.status })) });
+        }
+        next(depsChanged ? v.crossWorkstream : []);
+    });
+}
+
+// ROW VERSIONS - tasks, risks, contacts and projects carry a version that every write bumps. An update
+// may name the version it was based on, as `version` in the body or an If-Match header (the ETag from a
+// GET or an earlier write). If the row has moved on since, the update is refused with 409 and the
+// current row, so the client can merge instead of overwriting someone else's change.
+const VERSIONED = { tasks: 'Task', risks: 'Risk', contacts: 'Contact', projects: 'Project' };
+const etag = version => `"${version}"`;
+
+// The version the client expects: null when it didn't say, NaN when If-Match isn't one of our ETags
+function expectedVersion(req) {
+    const match = req.get('If-Match');
+    if (match && match !== '*') return parseInt((match.match(/^(?:W\/)?"(\d+)"$/) || [])[1]);
+    const v = req.body?.version;
+    return v === undefined || v === null || v === '' ? null : parseInt(v);
+}
+
+function sendConflict(res, table, current) {
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const row = table === 'risks' ? scoreRisk(current) : current;
+    res.set('ETag', etag(current.version)).status(409).json({
+        error: `${VERSIONED[table]} ${current.id} was changed${current.updated_by ? ' by ' + current.updated_by : ''} after you loaded it`,
+        version: current.version, current: row
+    });
+}
+
+// Responds 409 and returns true when the client named a version other than `row`'s
+function staleVersion(req, res, table, row) {
+    const expected = expectedVersion(req);
+    if (expected === null || expected === row.version) return false;
+    sendConflict(res, table, row);
+    return true;
+}
+
+// For an UPDATE ... AND version=? that matched nothing: the row changed (or went) between reading and writing it
+function raceConflict(res, table, id, pid) {
+    db.get(`SELECT * FROM ${table} WHERE id=?${pid === undefined ? '' : ' AND project_id=?'}`, pid === undefined ? [id] : [id, pid], (e, current) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        sendConflict(res, table, current);
+    });
+}
+
+// PATCH takes only the fields being changed. The rest are filled in from the stored row before the PUT
+// handler runs, pinned to the version they were read at so a concurrent write can't be undone by them.
+// Fields grouped in an array (a task's owner fields) are filled in only when the request sends none of them.
+function patchRow(table, fields) {
+    const known = new Set([...fields.flat(), 'version', 'force']);
+    return (req, res, next) => {
+        const body = req.body || {};
+        const unknown = Object.keys(body).filter(k => !known.has(k));
+        if (unknown.length) return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}` });
+        const [where, params] = table === 'projects' ? ['id=?', [req.params.id]] : ['id=? AND project_id=?', [req.params.id, req.params.pid]];
+        db.get(`SELECT * FROM ${table} WHERE ${where}`, params, (e, row) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (!row) return res.status(404).json({ error: 'Not found' });
+            const merged = {};
+            fields.forEach(f => { const group = [].concat(f); if (!group.some(k => k in body)) group.forEach(k => { merged[k] = row[k]; }); });
+            req.body = { ...merged, ...body };
+            if (expectedVersion(req) === null) req.body.version = row.version;
+            next();
+        });
+    };
+}
+
+// RISK SCORING - likelihood and impact are rated on a five-point scale and stored as their labels
+// (numbers 1-5 are accepted too). The score is likelihood × impact, 1-25, banded into a rating.
+const RISK_LEVELS = ['Very Low', 'Low', 'Medium', 'High', 'Very High'];
+const RISK_STATUSES = ['Open', 'Mitigating', 'Accepted', 'Closed'];
+const RISK_RATINGS = [[15, 'Critical'], [10, 'High'], [5, 'Medium'], [1, 'Low']];
+
+// Label (any case) or 1-5 → label; null for an empty value, undefined when it isn't on the scale
+function riskLevel(v) {
+    if (v === undefined || v === null || String(v).trim() === '') return null;
+    const s = String(v).trim();
+    return /^\d+$/.test(s) ? RISK_LEVELS[parseInt(s) - 1] : RISK_LEVELS.find(l => l.toLowerCase() === s.toLowerCase());
+}
+
+const riskRating = score => (RISK_RATINGS.find(([min]) => score >= min) || [])[1] || null;
+
+// Adds likelihood_score, impact_score, score and rating; they're null until both are on the scale
+function scoreRisk(r) {
+    const likelihood_score = RISK_LEVELS.indexOf(r.likelihood) + 1 || null, impact_score = RISK_LEVELS.indexOf(r.impact) + 1 || null;
+    const score = likelihood_score && impact_score ? likelihood_score * impact_score : null;
+    return { ...r, likelihood_score, impact_score, score, rating: riskRating(score) };
+}
+
+const sqlNow = () => new Date().toISOString().replace('T', ' ').slice(0, 19); // same format as CURRENT_TIMESTAMP
+
+// Validates and normalises `risk` in place: ratings become labels and mitigation_tasks a tidy ID list.
+// Unknown mitigation task IDs are rejected only when the list changed, and closing a risk whose
+// mitigation tasks aren't all Complete needs force: true. Sets closed_at; calls next() when it may be saved.
+function checkRisk(req, res, risk, before, next) {
+    for (const k of ['likelihood', 'impact']) {
+        const level = riskLevel(risk[k]);
+        if (level === undefined) return res.status(400).json({ error: `${k} must be one of ${RISK_LEVELS.join(', ')} (or 1-5)` });
+        risk[k] = level;
+    }
+    if (!RISK_STATUSES.includes(risk.status)) return res.status(400).json({ error: `status must be one of ${RISK_STATUSES.join(', ')}` });
+    if (risk.target_date && !/^\d{4}-\d{2}-\d{2}$/.test(risk.target_date)) return res.status(400).json({ error: 'target_date must be YYYY-MM-DD' });
+    db.all("SELECT id,name,status FROM tasks WHERE project_id=? AND deleted_at IS NULL", [req.params.pid], (e, tasks) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        const byId = new Map(tasks.map(t => [depKey(t.id), t])), ids = parseDeps(risk.mitigation_tasks);
+        const unknown = ids.filter(id => !byId.has(id));
+        if (unknown.length && (!before || parseDeps(before.mitigation_tasks).join() !== ids.join())) return res.status(400).json({ error: `Unknown mitigation tasks: ${unknown.join(', ')}`, unknown });
+        risk.mitigation_tasks = ids.join(', ') || null;
+        const closing = risk.status === 'Closed' && before?.status !== 'Closed';
+        const blockedBy = closing ? ids.map(id => byId.get(id)).filter(t => t && t.status !== 'Complete') : [];
+        if (blockedBy.length && !req.body.force) {
+            return res.status(409).json({ error: `${before?.id || risk.id} has mitigation tasks that aren't Complete: ${blockedBy.map(t => t.id).join(', ')}`, blockedBy: blockedBy.map(t => ({ id: t.id, name: t.name, status: t.status })) });
+        }
+        risk.closed_at = risk.status !== 'Closed' ? null : closing ? sqlNow() : before.closed_at;
         next();
+    });
+}
+
+// SCHEDULE - critical path method over task dates. Durations are calendar days from start to due
+// (1 day when either is missing); tasks that haven't started can't start before today.
+const DAY_MS = 86400000;
+const toDay = d => (d && /^\d{4}-\d{2}-\d{2}/.test(d) ? Math.floor(Date.parse(d.slice(0, 10) + 'T00:00:00Z') / DAY_MS) : null);
+const fromDay = n => new Date(n * DAY_MS).toISOString().split('T')[0];
+
+function buildSchedule(project, tasks) {
+    const today = toDay(new Date().toISOString());
+    const byId = new Map(tasks.map(t => [t.id, t])), ids = new Map(tasks.map(t => [depKey(t.id), t.id]));
+    const issues = { unknown: [], cycles: [], crossWorkstream: [] };
+    const edges = [];
+    const preds = new Map(tasks.map(t => [t.id, []])), succs = new Map(tasks.map(t => [t.id, []]));
+    tasks.forEach(t => parseDeps(t.dependencies).forEach(dep => {
+        const d = ids.get(dep);
+        if (!d) return issues.unknown.push({ task: t.id, dependency: dep });
+        const cross = byId.get(d).workstream !== t.workstream;
+        if (cross) issues.crossWorkstream.push({ task: t.id, dependency: d });
+        edges.push({ from: d, to: t.id, crossWorkstream: cross });
+        preds.get(t.id).push(d); succs.get(d).push(t.id);
+    }));
+
+    // Kahn's algorithm — whatever can't be ordered sits on a cycle
+    const indeg = new Map(tasks.map(t => [t.id, preds.get(t.id).length]));
+    const order = tasks.filter(t => !indeg.get(t.id)).map(t => t.id);
+    for (let i = 0; i < order.length; i++) succs.get(order[i]).forEach(s => { indeg.set(s, indeg.get(s) - 1); if (!indeg.get(s)) order.push(s); });
+    const cyclic = tasks.filter(t => indeg.get(t.id) > 0).map(t => t.id);
+    const graph = new Map(cyclic.map(id => [id, preds.get(id).filter(p => cyclic.includes(p))]));
+    const reported = new Set();
+    cyclic.forEach(id => {
+        if (reported.has(id)) return;
+        const c = findCycle(graph, id);
+        if (c) { issues.cycles.push(c); c.forEach(x => reported.add(x)); }
+    });
+
+    // Forward pass
+    const anchor = toDay(project.start_date) ?? today;
+    const node = new Map();
+    order.forEach(id => {
+        const t = byId.get(id), start = toDay(t.start_date), due = toDay(t.due_date);
+        const duration = start !== null && due !== null ? Math.max(1, due - start + 1) : 1;
+        let es = start ?? anchor, driver = null;
+        if (t.status === 'Not Started' && es < today) es = today;
+        preds.get(id).forEach(p => { const pf = node.get(p).ef + 1; if (pf > es) { es = pf; driver = p; } });
+        node.set(id, { es, ef: es + duration - 1, duration, driver });
+    });
+    const finish = order.length ? Math.max(...order.map(id => node.get(id).ef)) : null;
+
+    // Backward pass
+    [...order].reverse().forEach(id => {
+        const n = node.get(id);
+        n.lf = succs.get(id).filter(s => node.has(s)).reduce((m, s) => Math.min(m, node.get(s).ls - 1), finish);
+        n.ls = n.lf - n.duration + 1;
+    });
+
+    // Walk back from the last task to finish through the predecessors that set each start date
+    const criticalPath = [];
+    let cur = order.find(id => node.get(id).ef === finish && node.get(id).ls === node.get(id).es);
+    while (cur) { criticalPath.unshift(cur); cur = node.get(cur).driver; }
+
+    const nodes = tasks.map(t => {
+        const n = node.get(t.id);
+        const base = { id: t.id, name: t.name, workstream: t.workstream, status: t.status, owner: t.owner, start_date: t.start_date, due_date: t.due_date, dependencies: preds.get(t.id) };
+        if (!n) return { ...base, cyclic: true };
+        return { ...base, duration: n.duration, earliest_start: fromDay(n.es), earliest_finish: fromDay(n.ef), latest_start: fromDay(n.ls), latest_finish: fromDay(n.lf), slack: n.ls - n.es, critical: n.ls === n.es, late: toDay(t.due_date) !== null && n.ef > toDay(t.due_date) };
+    });
+    const target = toDay(project.target_completion);
+    return {
+        project_id: project.id, nodes, edges, criticalPath, issues,
+        earliestFinish: finish !== null ? fromDay(finish) : null,
+        targetCompletion: project.target_completion || null,
+        slipDays: finish !== null && target !== null ? finish - target : null
+    };
+}
+
+// BASELINES - the current plan against a saved baseline. Variances are calendar days, positive when
+// later than the baseline. A task's finish variance compares due dates; a workstream's or the
+// project's slip compares its last due date now with its last due date in the baseline.
+const dayVariance = (now, then) => { const a = toDay(now), b = toDay(then); return a !== null && b !== null ? a - b : null; };
+const lastDue = rows => { const days = rows.map(r => toDay(r.due_date)).filter(d => d !== null); return days.length ? fromDay(Math.max(...days)) : null; };
+const avgProgress = rows => rows.length ? Math.round(rows.reduce((s, r) => s + (r.percent_complete || 0), 0) / rows.length) : null;
+
+function summariseVariance(rows, planned, tasks) {
+    const matched = rows.filter(r => !r.change), variances = matched.map(r => r.finish_variance).filter(v => v !== null);
+    const baseline_finish = lastDue(planned), current_finish = lastDue(tasks);
+    return {
+        tasks: tasks.length, added: rows.filter(r => r.change === 'added').length, removed: rows.filter(r => r.change === 'removed').length,
+        late: variances.filter(v => v > 0).length, early: variances.filter(v => v < 0).length,
+        avg_finish_variance: variances.length ? Math.round(variances.reduce((s, v) => s + v, 0) / variances.length * 10) / 10 : null,
+        max_finish_variance: variances.length ? Math.max(...variances) : null,
+        baseline_finish, current_finish, slip_days: dayVariance(current_finish, baseline_finish),
+        baseline_progress: avgProgress(planned), current_progress: avgProgress(tasks)
+    };
+}
+
+// planned: the baseline's baseline_tasks rows. Tasks added since the baseline have change 'added',
+// and tasks deleted since have change 'removed'; neither counts towards late or early.
+function baselineVariance(baseline, planned, tasks) {
+    const then = new Map(planned.map(b => [b.task_id, b])), now = new Set(tasks.map(t => t.id));
+    const rows = [...tasks.map(t => [t, then.get(t.id)]), ...planned.filter(b => !now.has(b.task_id)).map(b => [null, b])].map(([t, b]) => ({
+        id: t ? t.id : b.task_id, name: t ? t.name : b.name, workstream: t ? t.workstream : b.workstream, status: t ? t.status : null,
+        change: !b ? 'added' : !t ? 'removed' : null,
+        baseline_start: b?.start_date ?? null, start_date: t?.start_date ?? null, start_variance: t && b ? dayVariance(t.start_date, b.start_date) : null,
+        baseline_due: b?.due_date ?? null, due_date: t?.due_date ?? null, finish_variance: t && b ? dayVariance(t.due_date, b.due_date) : null,
+        baseline_percent: b ? b.percent_complete || 0 : null, percent_complete: t ? t.percent_complete || 0 : null, progress_variance: t && b ? (t.percent_complete || 0) - (b.percent_complete || 0) : null
+    })).sort((a, b) => (a.workstream || '').localeCompare(b.workstream || '') || a.id.localeCompare(b.id));
+    const names = [...new Set(rows.map(r => r.workstream))];
+    return {
+        baseline, summary: summariseVariance(rows, planned, tasks),
+        workstreams: names.map(w => ({ workstream: w, ...summariseVariance(rows.filter(r => r.workstream === w), planned.filter(b => b.workstream === w), tasks.filter(t => t.workstream === w)) })),
+        tasks: rows
     };
 }
 
+// bid is a baseline ID or 'latest'; cb(err, null) when the project has no such baseline
+function loadBaseline(pid, bid, cb) {
+    const latest = bid === 'latest';
+    db.get(`SELECT b.*, (SELECT COUNT(*) FROM baseline_tasks WHERE baseline_id=b.id) as task_count FROM baselines b WHERE b.project_id=?${latest ? '' : ' AND b.id=?'} ORDER BY b.created_at DESC, b.id DESC LIMIT 1`,
+        latest ? [pid] : [pid, bid], cb);
+}
+
+function loadVariance(pid, baseline, cb) {
+    db.all("SELECT * FROM baseline_tasks WHERE baseline_id=?", [baseline.id], (e, planned) => {
+        if (e) return cb(e);
+        db.all("SELECT id,name,workstream,status,start_date,due_date,percent_complete FROM tasks WHERE project_id=? AND deleted_at IS NULL", [pid], (e, tasks) => cb(e, e ? null : baselineVariance(baseline, planned, tasks)));
+    });
+}
+
+// OWNERS - a task is owned by a user (owner_id) or, for people outside the company, by one of the
+// project's contacts (owner_contact_id). tasks.owner keeps the owner's name for display and exports
+// and is rewritten when the user or contact is renamed. Names from before owners were linked, which
+// matched nobody, stay as plain text until the task is given an owner.
+function loadOwners(pid, cb) {
+    db.all("SELECT id,username,display_name,active FROM users", (e, users) => {
+        if (e) return cb(e);
+        db.all("SELECT id,name FROM contacts WHERE project_id=?", [pid], (e, contacts) => cb(e, e ? null : { users, contacts }));
+    });
+}
+
+const userName = u => u.display_name || u.username;
+
+// { owner_id } or { owner_contact_id } or an owner name → { owner_id, owner_contact_id, owner } or { error }.
+// A name must match exactly one active user (username first, then display name) or project contact.
+// Sending back the task's current owner, by ID or by name, leaves it as it is even if it wouldn't resolve now.
+function resolveOwner(owners, { owner_id, owner_contact_id, owner }, before) {
+    const name = String(owner ?? '').trim();
+    if (before && (owner_id ? parseInt(owner_id) === before.owner_id : owner_contact_id ? parseInt(owner_contact_id) === before.owner_contact_id : name && name === before.owner))
+        return { owner_id: before.owner_id ?? null, owner_contact_id: before.owner_contact_id ?? null, owner: before.owner };
+    if (owner_id) {
+        const u = owners.users.find(u => u.id === parseInt(owner_id));
+        if (!u || !u.active) return { error: 'Owner must be an active user' };
+        return { owner_id: u.id, owner_contact_id: null, owner: userName(u) };
+    }
+    if (owner_contact_id) {
+        const c = owners.contacts.find(c => c.id === parseInt(owner_contact_id));
+        if (!c) return { error: 'Owner must be a contact on this project' };
+        return { owner_id: null, owner_contact_id: c.id, owner: c.name };
+    }
+    if (!name) return { owner_id: null, owner_contact_id: null, owner: null };
+    const same = v => (v || '').toLowerCase() === name.toLowerCase();
+    const active = owners.users.filter(u => u.active);
+    const byUsername = active.filter(u => same(u.username)), byName = active.filter(u => same(u.display_name));
+    const user = byUsername.length === 1 ? byUsername[0] : byName.length === 1 ? byName[0] : null;
+    if (user) return { owner_id: user.id, owner_contact_id: null, owner: userName(user) };
+    const contacts = owners.contacts.filter(c => same(c.name));
+    if (contacts.length === 1 && !byName.length) return { owner_id: null, owner_contact_id: contacts[0].id, owner: contacts[0].name };
+    if (byName.length || contacts.length) return { error: `More than one person is called "${name}" — pick the owner by ID` };
+    return { error: `No active user or project contact called "${name}"` };
+}
+
+// Tasks that are neither in the trash nor in a trashed project; only these count as someone's work
+const LIVE_TASKS = "deleted_at IS NULL AND project_id IN (SELECT id FROM projects WHERE deleted_at IS NULL)";
+
+// Moves a user's open tasks (or all of them) in every project to another active user, or
+// unassigns them when `to` is null. Each task gets an audit entry; resolves with the count.
+async function reassignTasks(req, fromId, to, includeComplete) {
+    const tasks = await dbAll(`SELECT * FROM tasks WHERE owner_id=? AND ${LIVE_TASKS}${includeComplete ? '' : " AND status<>'Complete'"}`, [fromId]);
+    const owner = to ? { owner_id: to.id, owner_contact_id: null, owner: userName(to) } : { owner_id: null, owner_contact_id: null, owner: null };
+    await transaction(async tx => {
+        for (const t of tasks) await tx.run("UPDATE tasks SET owner_id=?,owner_contact_id=?,owner=?,version=version+1,updated_at=CURRENT_TIMESTAMP,updated_by=? WHERE id=? AND project_id=?",
+            [owner.owner_id, owner.owner_contact_id, owner.owner, req.user.username, t.id, t.project_id]);
+    });
+    tasks.forEach(t => {
+        audit(req, 'task', t.id, t.project_id, 'update', t, { ...t, ...owner });
+        notifyTaskChange(req, t.project_id, t, { ...t, ...owner });
+    });
+    return tasks.length;
+}
+
+// Applies `set` to the tasks matching `where` that it actually changes (a renamed or removed user or contact),
+// recording each like a task edit so its version, history, webhooks and open pages stay in step
+async function updateOwnedTasks(req, where, params, set) {
+    const tasks = (await dbAll(`SELECT * FROM tasks WHERE ${where}`, params)).filter(t => Object.keys(set).some(k => t[k] !== set[k]));
+    if (!tasks.length) return 0;
+    const fields = Object.keys(set);
+    await transaction(async tx => {
+        for (const t of tasks) await tx.run(`UPDATE tasks SET ${fields.map(k => `${k}=?`).join(',')},version=version+1,updated_at=CURRENT_TIMESTAMP,updated_by=? WHERE id=? AND project_id=?`,
+            [...fields.map(k => set[k]), req.user.username, t.id, t.project_id]);
+    });
+    tasks.forEach(t => audit(req, 'task', t.id, t.project_id, 'update', t, { ...t, ...set }));
+    return tasks.length;
+}
+const ownerUpdateFailed = e => console.error('Task owner update error:', e);
+
+// NOTIFICATIONS - email through SMTP_HOST (nothing is sent when it isn't set). Task owners that are
+// users get assignment and blocked emails; contacts who own tasks don't get any.
+const mailer = process.env.SMTP_HOST ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+}) : null;
+const MAIL_FROM = process.env.MAIL_FROM || 'IT Integration Tracker <tracker@localhost>';
+const APP_URL = (process.env.APP_URL || '').replace(/\/$/, '');
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR ?? 7); // server local time; anything non-numeric turns digests off
+
+function sendMail(to, subject, text, cb) {
+    if (!mailer) return cb && cb(new Error('Email is not configured (set SMTP_HOST)'));
+    mailer.sendMail({ from: MAIL_FROM, to, subject, text: text + (APP_URL ? `\n\nOpen the tracker: ${APP_URL}` : '') }, (e, info) => {
+        if (e) console.error('Email error:', e.message);
+        if (cb) cb(e, info);
+    });
+}
+
+// The task's owner as a list of zero or one active users with an email address
+function findOwners(ownerId, cb) {
+    if (!ownerId) return cb([]);
+    db.all("SELECT * FROM users WHERE id=? AND active=1 AND email IS NOT NULL AND email<>''", [ownerId], (e, r) => cb(e ? [] : r || []));
+}
+
+const taskLine = t => `${t.id} — ${t.name}${t.due_date ? ` (due ${t.due_date})` : ''}`;
+
+// Called after a task is created or saved. Emails a new owner, and the owner plus the project's team
+// leads when the task becomes Blocked, unless they've opted out. Nobody is emailed about their own change.
+function notifyTaskChange(req, pid, before, task) {
+    const assigned = task.owner_id && task.owner_id !== before?.owner_id;
+    const blocked = task.status === 'Blocked' && before?.status !== 'Blocked';
+    if (!mailer || (!assigned && !blocked)) return;
+    db.get("SELECT name FROM projects WHERE id=?", [pid], (e, project) => {
+        if (e || !project) return;
+        const by = req.user.display_name || req.user.username;
+        const others = u => u.id !== req.user.id;
+        findOwners(task.owner_id, owners => {
+            if (assigned) owners.filter(u => others(u) && u.notify_assigned).forEach(u => sendMail(u.email, `[${project.name}] Assigned to you: ${task.id} ${task.name}`,
+                `${by} assigned you a task in ${project.name}:\n\n${taskLine(task)}\nWorkstream: ${task.workstream || '—'}\nPriority: ${task.priority || '—'}\nStatus: ${task.status || '—'}`));
+            if (!blocked) return;
+            db.all(`SELECT u.* FROM project_members m JOIN users u ON u.id=m.user_id WHERE m.project_id=? AND m.role IN ('teamlead','admin') AND u.active=1 AND u.email IS NOT NULL AND u.email<>''`, [pid], (e, leads) => {
+                const recipients = new Map([...owners, ...(leads || [])].filter(u => others(u) && u.notify_blocked).map(u => [u.id, u]));
+                recipients.forEach(u => sendMail(u.email, `[${project.name}] Blocked: ${task.id} ${task.name}`,
+                    `${by} marked a task as Blocked in ${project.name}:\n\n${taskLine(task)}\nOwner: ${task.owner || 'unassigned'}${task.notes ? `\nNotes: ${task.notes}` : ''}`));
+            });
+        });
+    });
+}
+
+// Emails users @mentioned in a comment (findMentions has already left out the author)
+function notifyMentions(req, pid, type, entity, users, body) {
+    if (!mailer || !users.length) return;
+    db.get("SELECT name FROM projects WHERE id=?", [pid], (e, project) => {
+        if (e || !project) return;
+        const by = req.user.display_name || req.user.username;
+        users.filter(u => u.notify_mentioned && u.email).forEach(u => sendMail(u.email, `[${project.name}] ${by} mentioned you on ${entity.id}`,
+            `${by} mentioned you in a comment on ${type} ${entity.id}${entity.title ? ` — ${entity.title}` : ''} in ${project.name}:\n\n${body}`));
+    });
+}
+
+// Daily digest of each user's overdue and due-this-week tasks. digest_sent_on records the day a user
+// was handled so restarts and the periodic check never send twice; force resends today's anyway.
+function sendDigests(force, cb) {
+    const day = d => d.toLocaleDateString('en-CA'); // YYYY-MM-DD in server local time
+    const today = day(new Date()), weekOut = day(new Date(Date.now() + 7 * DAY_MS));
+    db.all("SELECT * FROM users WHERE active=1 AND notify_digest=1 AND email IS NOT NULL AND email<>'' AND (? OR digest_sent_on IS NULL OR digest_sent_on<>?)", [force ? 1 : 0, today], (e, users) => {
+        if (e || !users?.length) return cb && cb(e, 0);
+        let sent = 0, pending = users.length;
+        const done = u => { db.run("UPDATE users SET digest_sent_on=? WHERE id=?", [today, u.id]); if (--pending === 0 && cb) cb(null, sent); };
+        users.forEach(u => {
+            db.all(`SELECT t.*, p.name as project_name FROM tasks t JOIN projects p ON p.id=t.project_id
+                WHERE t.owner_id=? AND t.deleted_at IS NULL AND p.archived_at IS NULL AND t.status<>'Complete' AND t.due_date IS NOT NULL AND t.due_date<>'' AND t.due_date<=? AND ${visibleProjects(u, 'p.id')}
+                ORDER BY t.due_date, p.name`, [u.id, weekOut], (e, tasks) => {
+                if (e || !tasks?.length) return done(u);
+                const overdue = tasks.filter(t => t.due_date < today), soon = tasks.filter(t => t.due_date >= today);
+                const section = (title, list) => list.length ? `${title} (${list.length})\n${list.map(t => `  • [${t.project_name}] ${taskLine(t)} — ${t.status}`).join('\n')}\n\n` : '';
+                sendMail(u.email, `Your tasks: ${overdue.length} overdue, ${soon.length} due this week`,
+                    `Hi ${u.display_name || u.username},\n\n${section('Overdue', overdue)}${section('Due in the next 7 days', soon)}You can turn this email off under Notifications in the profile menu.`,
+                    err => { if (!err) sent++; done(u); });
+            });
+        });
+    });
+}
+
+if (mailer && !isNaN(DIGEST_HOUR)) setInterval(() => { if (new Date().getHours() >= DIGEST_HOUR) sendDigests(false); }, 900000);
+
+// Promise wrappers for multi-step work (workbook imports, workstream packs)
+const dbRun = (sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, function(e) { e ? reject(e) : resolve(this); }));
+const dbGet = (sql, params = []) => new Promise((resolve, reject) => db.get(sql, params, (e, r) => e ? reject(e) : resolve(r)));
+const dbAll = (sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (e, r) => e ? reject(e) : resolve(r || [])));
+
+// The statements of a transaction, straight on `conn`. Inside transaction() and exclusive() everything must
+// go through these: a dbRun/dbGet/dbAll there would queue behind the transaction and never run.
+const tx = {
+    run: (sql, params = []) => new Promise((resolve, reject) => conn.run(sql, params, function(e) { e ? reject(e) : resolve(this); })),
+    get: (sql, params = []) => new Promise((resolve, reject) => conn.get(sql, params, (e, r) => e ? reject(e) : resolve(r))),
+    all: (sql, params = []) => new Promise((resolve, reject) => conn.all(sql, params, (e, r) => e ? reject(e) : resolve(r || [])))
+};
+
+// Runs `work(tx)` with nothing else on the connection (see `db`); resolves or rejects as it does
+function exclusive(work) {
+    return new Promise((resolve, reject) => {
+        dbQueue.push({ tx: true, start: async () => {
+            txOpen = true;
+            try {
+                resolve(await work(tx));
+            } catch (e) {
+                reject(e);
+            } finally {
+                txOpen = false;
+                pumpDb();
+            }
+        } });
+        pumpDb();
+    });
+}
+
+// Runs `work(tx)` between BEGIN and COMMIT, one transaction at a time. Resolves with what `work`
+// returns once committed; rolls back and rejects if it throws.
+function transaction(work) {
+    return exclusive(async () => {
+        await tx.run('BEGIN');
+        try {
+            const result = await work(tx);
+            await tx.run('COMMIT');
+            return result;
+        } catch (e) {
+            await tx.run('ROLLBACK').catch(() => {});
+            throw e;
+        }
+    });
+}
+
+// Runs [sql, params] statements in one transaction, all or none; resolves with the last one's change count
+function runInTransaction(statements) {
+    return transaction(async t => {
+        let last;
+        for (const [sql, params] of statements) last = await t.run(sql, params);
+        return last.changes;
+    });
+}
+
 function initDB() {
     db.serialize(() => {
         db.run(`CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL, password TEXT NOT NULL, display_name TEXT, email TEXT, role TEXT DEFAULT 'readonly', active INTEGER DEFAULT 1, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, last_login DATETIME)`);
@@ -86,15 +840,27 @@ function initDB() {
         db.run(`CREATE TABLE IF NOT EXISTS task_attachments (id INTEGER PRIMARY KEY AUTOINCREMENT, task_id TEXT NOT NULL, project_id INTEGER NOT NULL, filename TEXT NOT NULL, original_name TEXT NOT NULL, file_size INTEGER, mime_type TEXT, uploaded_by TEXT, uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
         db.run(`CREATE TABLE IF NOT EXISTS contacts (id INTEGER PRIMARY KEY AUTOINCREMENT, project_id INTEGER, name TEXT, role TEXT, company TEXT, workstream TEXT, email TEXT, phone TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
         db.run(`CREATE TABLE IF NOT EXISTS risks (id TEXT, project_id INTEGER, description TEXT, workstream TEXT, likelihood TEXT, impact TEXT, mitigation TEXT, owner TEXT, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY (id, project_id))`);
-        initDefaults();
+        db.run(`CREATE TABLE IF NOT EXISTS audit_log (id INTEGER PRIMARY KEY AUTOINCREMENT, project_id INTEGER, entity_type TEXT NOT NULL, entity_id TEXT NOT NULL, action TEXT NOT NULL, changes TEXT, user_id INTEGER, username TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log (project_id, entity_type, entity_id)`);
+        db.run(`CREATE TABLE IF NOT EXISTS sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, token_hash TEXT UNIQUE NOT NULL, user_id INTEGER NOT NULL, ip TEXT, user_agent TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, last_seen DATETIME DEFAULT CURRENT_TIMESTAMP, expires INTEGER NOT NULL)`);
+        // Seed defaults only once pending migrations have brought the schema up to date
+        runMigrations(db).then(() => { rebuildSearchIndex(); initDefaults(); regenerateChecklists(); purgeTrash(); snapshotProjects(); }).catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
     });
 }
 
 function initDefaults() {
-    db.get("SELECT COUNT(*) as c FROM users", (e, r) => { if (r?.c === 0) db.run(`INSERT INTO users (username, password, display_name, role) VALUES (?, ?, ?, ?)`, ['admin', hash('admin123'), 'Administrator', 'admin']); });
+    db.get("SELECT COUNT(*) as c FROM users", (e, r) => {
+        if (r?.c === 0) hashPassword('admin123', (e, h) => {
+            if (e) return console.error('Default admin error:', e);
+            db.run(`INSERT INTO users (username, password, display_name, role) VALUES (?, ?, ?, ?)`, ['admin', h, 'Administrator', 'admin']);
+        });
+    });
     db.get("SELECT COUNT(*) as c FROM default_workstreams", (e, r) => {
         if (r?.c === 0) {
-            [['Office 365','#0078d4',1],['Network','#38a169',2],['Cybersecurity','#e53e3e',3],['Active Directory','#805ad5',4],['Applications','#dd6b20',5],['Communications','#319795',6],['Human Resources','#d53f8c',7]].forEach(w => db.run(`INSERT INTO default_workstreams (name,color,sort_order) VALUES (?,?,?)`, w));
+            [['Office 365','#0078d4',1],['Network','#38a169',2],['Cybersecurity','#e53e3e',3],['Active Directory','#805ad5',4],['Applications','#dd6b20',5],['Communications','#319795',6],['Human Resources','#d53f8c',7]].forEach(w => db.run(`INSERT INTO default_workstreams (template_id,name,color,sort_order) VALUES ((SELECT id FROM templates WHERE is_default=1),?,?,?)`, w));
         }
     });
     db.get("SELECT COUNT(*) as c FROM default_tasks", (e, r) => { if (r?.c === 0) seedDefaultTasks(); });
@@ -152,21 +918,36 @@ function seedDefaultTasks() {
         ['HR-011','Human Resources','Compliance verification','Verify all HR practices meet federal, state, and local employment law requirements post-integration','High','HR-003',11],
         ['HR-012','Human Resources','Contractor/vendor audit','Identify and document all contractors, temps, and third-party vendors with system access from acquired company','High','HR-004',12]
     ];
-    t.forEach(x => db.run(`INSERT INTO default_tasks (id,workstream,name,description,priority,dependencies,sort_order) VALUES (?,?,?,?,?,?,?)`, x));
+    const checklists = {
+        'SEC-005': [{ title: 'Schedule sessions for acquired staff' }, { title: 'Run phishing simulation' }, { title: 'Record completion for every user' }],
+        'HR-005': [{ title: 'Reconcile against Active Directory' }, { title: 'Reconcile against Office 365' }, { title: 'Reconcile against badge system' }, { title: 'Review new joiners and leavers', recurrence: 'weekly' }]
+    };
+    t.forEach(x => db.run(`INSERT INTO default_tasks (template_id,id,workstream,name,description,priority,dependencies,sort_order,checklist) VALUES ((SELECT id FROM templates WHERE is_default=1),?,?,?,?,?,?,?,?)`, [...x, checklistJson(checklists[x[0]] || [])]));
 }
 
 function seedDemo() {
-    db.run(`INSERT INTO projects (name,description,acquired_company,parent_company,start_date) VALUES (?,?,?,?,?)`,
+    db.run(`INSERT INTO projects (name,description,acquired_company,parent_company,start_date,template_id) VALUES (?,?,?,?,?,(SELECT id FROM templates WHERE is_default=1))`,
         ['Demo Integration','Sample project','Acme Corp','Applied Industrial Technologies',new Date().toISOString().split('T')[0]],
         function(e) { if (!e) seedProjectData(this.lastID); });
 }
 
-function seedProjectData(pid) {
-    db.all("SELECT * FROM default_tasks WHERE active=1", (e, tasks) => {
-        if (tasks) tasks.forEach(t => db.run(`INSERT INTO tasks (id,project_id,workstream,name,description,priority,status,percent_complete,dependencies) VALUES (?,?,?,?,?,?,?,?,?)`, [t.id,pid,t.workstream,t.name,t.description,t.priority,'Not Started',0,t.dependencies]));
+// Copies a template's tasks, contacts and risks into a new project (the default template when templateId is null)
+function seedProjectData(pid, templateId = null) {
+    const tpl = 'template_id=COALESCE(?,(SELECT id FROM templates WHERE is_default=1))';
+    db.all(`SELECT * FROM default_tasks WHERE active=1 AND ${tpl}`, [templateId], (e, tasks) => {
+        if (tasks) tasks.forEach(t => {
+            // A checklist with one-off items drives the task's progress from the start
+            const checklist = templateChecklist(t.checklist);
+            db.run(`INSERT INTO tasks (id,project_id,workstream,name,description,priority,status,percent_complete,dependencies,auto_progress) VALUES (?,?,?,?,?,?,?,?,?,?)`, [t.id,pid,t.workstream,t.name,t.description,t.priority,'Not Started',0,t.dependencies,checklist.some(i => !i[1]) ? 1 : 0]);
+            checklist.forEach(i => db.run(CHECKLIST_INSERT, [pid, t.id, ...i]));
+        });
+    });
+    db.all(`SELECT * FROM default_contacts WHERE active=1 AND ${tpl} ORDER BY id`, [templateId], (e, contacts) => {
+        if (contacts) contacts.forEach(c => db.run(`INSERT INTO contacts (project_id,role,company,workstream) VALUES (?,?,?,?)`, [pid,c.role,c.company,c.workstream]));
+    });
+    db.all(`SELECT * FROM default_risks WHERE active=1 AND ${tpl} ORDER BY id`, [templateId], (e, risks) => {
+        if (risks) risks.forEach((r, i) => db.run(`INSERT INTO risks (id,project_id,description,workstream,likelihood,impact,mitigation) VALUES (?,?,?,?,?,?,?)`, [`RISK-${String(i + 1).padStart(3, '0')}`,pid,r.description,r.workstream,r.likelihood,r.impact,r.mitigation]));
     });
-    [['IT Director','Acquired','Office 365'],['Network Admin','Acquired','Network'],['Security Manager','Acquired','Cybersecurity'],['IT Director','Applied','Office 365'],['CISO','Applied','Cybersecurity'],['HR Director','Acquired','Human Resources'],['HR Business Partner','Applied','Human Resources']].forEach(c => db.run(`INSERT INTO contacts (project_id,role,company,workstream) VALUES (?,?,?,?)`, [pid,c[0],c[1],c[2]]));
-    [['RISK-001','Data loss during migration','Office 365','Medium','High','Comprehensive backup'],['RISK-002','Network connectivity issues','Network','Medium','High','Redundant connections'],['RISK-003','Security vulnerabilities','Cybersecurity','High','High','Security assessment'],['RISK-004','Incomplete employee records','Human Resources','Medium','High','Cross-reference multiple systems and conduct manager verification'],['RISK-005','Policy compliance gaps','Human Resources','Medium','Medium','Legal review of all consolidated policies before rollout']].forEach(r => db.run(`INSERT INTO risks (id,project_id,description,workstream,likelihood,impact,mitigation) VALUES (?,?,?,?,?,?,?)`, [r[0],pid,r[1],r[2],r[3],r[4],r[5]]));
 }
 
 // AUTH - with rate limiting
@@ -188,114 +969,518 @@ app.post('/api/auth/login', (req, res) => {
     
     db.get("SELECT * FROM users WHERE username=? AND active=1", [username], (e, u) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        if (!u || u.password !== hash(password)) {
-            // Track failed attempt
-            const now = Date.now();
-            const prev = loginAttempts.get(ip);
-            if (prev && now - prev.first < LOGIN_LOCKOUT_MS) {
-                prev.count++;
-            } else {
-                loginAttempts.set(ip, { count: 1, first: now });
+        verifyPassword(password, u ? u.password : DUMMY_HASH, (e, ok, needsRehash) => {
+            if (e) return res.status(500).json({ error: 'Password check failed' });
+            if (!u || !ok) {
+                // Track failed attempt
+                const now = Date.now();
+                const prev = loginAttempts.get(ip);
+                if (prev && now - prev.first < LOGIN_LOCKOUT_MS) {
+                    prev.count++;
+                } else {
+                    loginAttempts.set(ip, { count: 1, first: now });
+                }
+                return res.status(401).json({ error: 'Invalid credentials' });
             }
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        // Clear attempts on success
-        loginAttempts.delete(ip);
-        const token = genToken();
-        sessions.set(token, { user: { id: u.id, username: u.username, display_name: u.display_name, email: u.email, role: u.role }, expires: Date.now() + 86400000 });
-        db.run("UPDATE users SET last_login=CURRENT_TIMESTAMP WHERE id=?", [u.id]);
-        res.json({ token, user: { id: u.id, username: u.username, display_name: u.display_name, email: u.email, role: u.role } });
+            // Clear attempts on success
+            loginAttempts.delete(ip);
+            // Transparently upgrade legacy SHA-256 hashes now that we have the plain password
+            if (needsRehash) hashPassword(password, (e, h) => {
+                if (e) return console.error('Password rehash error:', e);
+                db.run("UPDATE users SET password=? WHERE id=?", [h, u.id]);
+            });
+            const token = genToken();
+            db.run(`INSERT INTO sessions (token_hash,user_id,ip,user_agent,expires) VALUES (?,?,?,?,?)`, [hashToken(token), u.id, ip, (req.headers['user-agent'] || '').slice(0, 255), Date.now() + SESSION_TTL_MS], (e) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                db.run("UPDATE users SET last_login=CURRENT_TIMESTAMP WHERE id=?", [u.id]);
+                res.json({ token, user: { id: u.id, username: u.username, display_name: u.display_name, email: u.email, role: u.role } });
+            });
+        });
     });
 });
 
-app.post('/api/auth/logout', (req, res) => { const t = req.headers.authorization?.replace('Bearer ',''); if (t) sessions.delete(t); res.json({ ok: true }); });
-app.get('/api/auth/me', auth, (req, res) => res.json({ user: req.user, permissions: req.role }));
-
-app.post('/api/auth/change-password', auth, (req, res) => {
-    const { currentPassword, newPassword } = req.body;
-    if (!newPassword || newPassword.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
-    db.get("SELECT password FROM users WHERE id=?", [req.user.id], (e, u) => {
+app.post('/api/auth/logout', (req, res) => {
+    const t = req.headers.authorization?.replace('Bearer ','');
+    if (!t) return res.json({ ok: true });
+    db.get("SELECT id FROM sessions WHERE token_hash=?", [hashToken(t)], (e, s) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        if (!u) return res.status(404).json({ error: 'User not found' });
-        if (u.password !== hash(currentPassword)) return res.status(401).json({ error: 'Wrong password' });
-        db.run("UPDATE users SET password=? WHERE id=?", [hash(newPassword), req.user.id], (e) => {
+        if (!s) return res.json({ ok: true });
+        db.run("DELETE FROM sessions WHERE id=?", [s.id], (e) => {
             if (e) return res.status(500).json({ error: 'Database error' });
+            closeLiveStreams(stream => stream.sessionId === s.id);
             res.json({ ok: true });
         });
     });
 });
+app.get('/api/auth/me', auth, (req, res) => res.json({ user: req.user, permissions: req.role }));
 
-// USERS
-app.get('/api/users', auth, reqRole('admin'), (req, res) => {
-    db.all("SELECT id,username,display_name,email,role,active,created_at,last_login FROM users ORDER BY username", (e, r) => {
+// Active sessions for the current user
+app.get('/api/auth/sessions', auth, (req, res) => {
+    db.all("SELECT id,ip,user_agent,created_at,last_seen,expires FROM sessions WHERE user_id=? AND expires>=? ORDER BY last_seen DESC", [req.user.id, Date.now()], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json(r || []);
+        res.json((r || []).map(s => ({ ...s, current: s.id === req.sessionId })));
     });
 });
 
-// Get active users for dropdowns (all authenticated users can access)
-app.get('/api/users/list', auth, (req, res) => {
-    db.all("SELECT id,username,display_name,role FROM users WHERE active=1 ORDER BY display_name,username", (e, r) => {
+// Sign out everywhere else
+app.delete('/api/auth/sessions', auth, sessionOnly, (req, res) => {
+    db.run("DELETE FROM sessions WHERE user_id=? AND id<>?", [req.user.id, req.sessionId], function(e) {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json(r || []);
-    });
-});
-
-app.post('/api/users', auth, reqRole('admin'), (req, res) => {
-    const { username, password, display_name, email, role } = req.body;
-    if (!username || !password) return res.status(400).json({ error: 'Required' });
-    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
-    if (!['readonly','edit','teamlead','admin'].includes(role)) return res.status(400).json({ error: 'Invalid role' });
-    db.run(`INSERT INTO users (username,password,display_name,email,role) VALUES (?,?,?,?,?)`, [username, hash(password), display_name, email, role], function(e) {
-        if (e) return res.status(500).json({ error: e.message.includes('UNIQUE') ? 'Username exists' : e.message });
-        res.json({ id: this.lastID });
+        closeLiveStreams(s => s.userId === req.user.id && s.sessionId && s.sessionId !== req.sessionId);
+        res.json({ changes: this.changes });
     });
 });
 
-app.put('/api/users/:id', auth, reqRole('admin'), (req, res) => {
-    const { display_name, email, role, active } = req.body;
-    if (parseInt(req.params.id) === req.user.id && role !== 'admin') return res.status(400).json({ error: 'Cannot change own role' });
-    db.run(`UPDATE users SET display_name=?,email=?,role=?,active=? WHERE id=?`, [display_name, email, role, active?1:0, req.params.id], function(e) {
+app.delete('/api/auth/sessions/:id', auth, sessionOnly, (req, res) => {
+    db.run("DELETE FROM sessions WHERE id=? AND user_id=?", [req.params.id, req.user.id], function(e) {
         if (e) return res.status(500).json({ error: 'Database error' });
+        if (!this.changes) return res.status(404).json({ error: 'Not found' });
+        closeLiveStreams(s => s.sessionId === parseInt(req.params.id));
         res.json({ changes: this.changes });
     });
 });
 
-app.post('/api/users/:id/reset-password', auth, reqRole('admin'), (req, res) => {
-    const { newPassword } = req.body;
+app.post('/api/auth/change-password', auth, sessionOnly, (req, res) => {
+    const { currentPassword, newPassword } = req.body;
     if (!newPassword || newPassword.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
-    db.get("SELECT username FROM users WHERE id=?", [req.params.id], (e, u) => {
+    db.get("SELECT password FROM users WHERE id=?", [req.user.id], (e, u) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        if (!u) return res.status(404).json({ error: 'Not found' });
-        db.run("UPDATE users SET password=? WHERE id=?", [hash(newPassword), req.params.id], (e) => {
-            if (e) return res.status(500).json({ error: 'Database error' });
-            res.json({ ok: true });
+        if (!u) return res.status(404).json({ error: 'User not found' });
+        verifyPassword(currentPassword, u.password, (e, ok) => {
+            if (e) return res.status(500).json({ error: 'Password check failed' });
+            if (!ok) return res.status(401).json({ error: 'Wrong password' });
+            hashPassword(newPassword, (e, h) => {
+                if (e) return res.status(500).json({ error: 'Password hashing failed' });
+                db.run("UPDATE users SET password=? WHERE id=?", [h, req.user.id], (e) => {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    // Keep the current session, sign out everywhere else
+                    db.run("DELETE FROM sessions WHERE user_id=? AND id<>?", [req.user.id, req.sessionId]);
+                    res.json({ ok: true });
+                });
+            });
         });
     });
 });
 
-app.delete('/api/users/:id', auth, reqRole('admin'), (req, res) => {
-    if (parseInt(req.params.id) === req.user.id) return res.status(400).json({ error: 'Cannot delete self' });
-    db.run("DELETE FROM users WHERE id=?", [req.params.id], function(e) {
+// API TOKENS - personal, long-lived tokens for scripts. The token itself is only returned when it's created.
+const API_TOKEN_COLS = 't.id,t.name,t.prefix,t.read_only,t.project_ids,t.expires_at,t.last_used_at,t.last_used_ip,t.created_at';
+const tokenRow = t => ({ ...t, read_only: !!t.read_only, project_ids: t.project_ids ? t.project_ids.split(',').map(Number) : null });
+
+app.get('/api/auth/tokens', auth, sessionOnly, (req, res) => {
+    db.all(`SELECT ${API_TOKEN_COLS} FROM api_tokens t WHERE t.user_id=? ORDER BY t.created_at DESC`, [req.user.id], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json({ changes: this.changes });
+        res.json((r || []).map(tokenRow));
     });
 });
 
-// WORKSTREAMS
-app.get('/api/admin/workstreams', auth, (req, res) => {
-    db.all("SELECT * FROM default_workstreams ORDER BY sort_order", (e, r) => {
+// Body: { name, read_only, project_ids: [ids] (omit for all your projects), expires_in_days (omit for no expiry) }
+app.post('/api/auth/tokens', auth, sessionOnly, (req, res) => {
+    const { name, read_only, expires_in_days } = req.body;
+    const projectIds = Array.isArray(req.body.project_ids) && req.body.project_ids.length ? [...new Set(req.body.project_ids.map(id => parseInt(id)))] : null;
+    if (!name?.trim()) return res.status(400).json({ error: 'Name required' });
+    if (expires_in_days != null && expires_in_days !== '' && !(parseInt(expires_in_days) > 0)) return res.status(400).json({ error: 'expires_in_days must be a positive number' });
+    if (projectIds?.some(isNaN)) return res.status(400).json({ error: 'project_ids must be project IDs' });
+    db.all(`SELECT p.id FROM projects p WHERE ${visibleProjects(req.user, 'p.id')}`, (e, visible) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json(r || []);
+        const ids = new Set(visible.map(p => p.id));
+        if (projectIds?.some(id => !ids.has(id))) return res.status(400).json({ error: "A token can only be limited to projects you're a member of" });
+        const token = API_TOKEN_PREFIX + genToken();
+        const expires = parseInt(expires_in_days) > 0 ? Date.now() + parseInt(expires_in_days) * DAY_MS : null;
+        db.run("INSERT INTO api_tokens (user_id,name,token_hash,prefix,read_only,project_ids,expires_at) VALUES (?,?,?,?,?,?,?)",
+            [req.user.id, name.trim(), hashToken(token), token.slice(0, API_TOKEN_PREFIX.length + 6), read_only ? 1 : 0, projectIds ? projectIds.join(',') : null, expires], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'api_token', this.lastID, null, 'create', null, { id: this.lastID, user_id: req.user.id, name: name.trim(), read_only: read_only ? 1 : 0, project_ids: projectIds ? projectIds.join(',') : null, expires_at: expires });
+                res.json({ id: this.lastID, token });
+            });
     });
 });
-app.post('/api/admin/workstreams', auth, reqRole('admin'), (req, res) => {
-    const { name, color } = req.body;
-    if (!name) return res.status(400).json({ error: 'Name required' });
-    db.run(`INSERT INTO default_workstreams (name,color,sort_order) VALUES (?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_workstreams))`, [name, color||'#718096'], function(e) {
-        if (e) return res.status(500).json({ error: e.message });
-        res.json({ id: this.lastID });
-    });
+
+app.delete('/api/auth/tokens/:id', auth, sessionOnly, (req, res) => {
+    revokeApiToken(req, res, "SELECT * FROM api_tokens WHERE id=? AND user_id=?", [req.params.id, req.user.id]);
+});
+
+function revokeApiToken(req, res, sql, params) {
+    db.get(sql, params, (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        db.run("DELETE FROM api_tokens WHERE id=?", [before.id], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            closeLiveStreams(s => s.tokenId === before.id);
+            const { token_hash, ...logged } = before;
+            audit(req, 'api_token', before.id, null, 'delete', logged);
+            res.json({ changes: this.changes });
+        });
+    });
+}
+
+// Every user's tokens, for admins to review and revoke
+app.get('/api/admin/tokens', auth, reqRole('admin'), (req, res) => {
+    db.all(`SELECT ${API_TOKEN_COLS}, t.user_id, u.username, u.display_name, u.active FROM api_tokens t JOIN users u ON u.id=t.user_id ORDER BY u.username, t.created_at DESC`, (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json((r || []).map(tokenRow));
+    });
+});
+
+app.delete('/api/admin/tokens/:id', auth, reqRole('admin'), (req, res) => {
+    revokeApiToken(req, res, "SELECT * FROM api_tokens WHERE id=?", [req.params.id]);
+});
+
+// Current user's email notification settings
+app.get('/api/auth/notifications', auth, (req, res) => {
+    db.get("SELECT email,notify_assigned,notify_blocked,notify_digest,notify_mentioned FROM users WHERE id=?", [req.user.id], (e, u) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ ...u, enabled: !!mailer });
+    });
+});
+
+app.put('/api/auth/notifications', auth, (req, res) => {
+    const { notify_assigned, notify_blocked, notify_digest, notify_mentioned } = req.body;
+    db.run("UPDATE users SET notify_assigned=?,notify_blocked=?,notify_digest=?,notify_mentioned=? WHERE id=?", [notify_assigned?1:0, notify_blocked?1:0, notify_digest?1:0, notify_mentioned?1:0, req.user.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ ok: true });
+    });
+});
+
+// Check the SMTP settings by mailing the signed-in admin (or `to`)
+app.post('/api/admin/notifications/test', auth, reqRole('admin'), (req, res) => {
+    const to = req.body.to || req.user.email;
+    if (!mailer) return res.status(400).json({ error: 'Email is not configured (set SMTP_HOST)' });
+    if (!to) return res.status(400).json({ error: 'No address — add an email to your account or pass "to"' });
+    sendMail(to, 'IT Integration Tracker test email', `This is a test email sent by ${req.user.username}. Email notifications are working.`, (e) => {
+        if (e) return res.status(502).json({ error: 'Sending failed: ' + e.message });
+        res.json({ ok: true, to });
+    });
+});
+
+// Send today's digests now, including to users who already got one
+app.post('/api/admin/notifications/digest', auth, reqRole('admin'), (req, res) => {
+    if (!mailer) return res.status(400).json({ error: 'Email is not configured (set SMTP_HOST)' });
+    sendDigests(true, (e, sent) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ ok: true, sent });
+    });
+});
+
+// BACKUPS - archives of the database and attachments (see backup.js, which also restores them).
+// BACKUP_INTERVAL_HOURS schedules them (off when unset or 0); only the newest BACKUP_KEEP are kept.
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || './backups');
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 7;
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0;
+let backupRunning = false;
+
+// Resolves with the new backup, or null when one is already being written
+async function runBackup() {
+    if (backupRunning) return null;
+    backupRunning = true;
+    try {
+        return await createBackup(db, { dir: BACKUP_DIR, uploadDir, keep: BACKUP_KEEP });
+    } finally {
+        backupRunning = false;
+    }
+}
+
+if (BACKUP_INTERVAL_HOURS > 0) setInterval(() => {
+    runBackup().then(b => {
+        if (b) console.log(`Backup written: ${b.name}${b.missing.length ? ` (${b.missing.length} attachment files missing)` : ''}`);
+    }).catch(e => console.error('Backup failed:', e.message));
+}, BACKUP_INTERVAL_HOURS * 3600000);
+
+const backupFile = name => BACKUP_RE.test(name) && fs.existsSync(path.join(BACKUP_DIR, name)) ? path.join(BACKUP_DIR, name) : null;
+
+app.get('/api/admin/backups', auth, sessionOnly, reqRole('admin'), (req, res) => {
+    res.json({ dir: BACKUP_DIR, keep: BACKUP_KEEP, interval_hours: BACKUP_INTERVAL_HOURS, running: backupRunning, backups: listBackups(BACKUP_DIR) });
+});
+
+// Take a backup now; older archives beyond BACKUP_KEEP are removed as with scheduled ones
+app.post('/api/admin/backups', auth, sessionOnly, reqRole('admin'), async (req, res) => {
+    try {
+        const b = await runBackup();
+        if (!b) return res.status(409).json({ error: 'A backup is already running' });
+        audit(req, 'backup', b.name, null, 'create', null, { name: b.name, size: b.size, files: b.files, missing: b.missing.length });
+        res.status(201).json(b);
+    } catch (e) {
+        console.error('Backup failed:', e);
+        res.status(500).json({ error: 'Backup failed: ' + e.message });
+    }
+});
+
+app.get('/api/admin/backups/:name', auth, sessionOnly, reqRole('admin'), (req, res) => {
+    const file = backupFile(req.params.name);
+    if (!file) return res.status(404).json({ error: 'Not found' });
+    res.download(file, req.params.name);
+});
+
+// Unpacks the archive to a temporary folder and runs the same checks as a restore
+app.post('/api/admin/backups/:name/verify', auth, sessionOnly, reqRole('admin'), async (req, res) => {
+    const file = backupFile(req.params.name);
+    if (!file) return res.status(404).json({ error: 'Not found' });
+    try {
+        const m = await verifyBackup(file);
+        res.json({ valid: true, created_at: m.created_at, app_version: m.app_version, schema_version: m.schema_version, counts: m.counts, files: m.files.length, missing: m.missing });
+    } catch (e) {
+        res.json({ valid: false, error: e.message });
+    }
+});
+
+app.delete('/api/admin/backups/:name', auth, sessionOnly, reqRole('admin'), (req, res) => {
+    const file = backupFile(req.params.name);
+    if (!file) return res.status(404).json({ error: 'Not found' });
+    fs.unlink(file, (e) => {
+        if (e) return res.status(500).json({ error: 'Could not delete the backup' });
+        audit(req, 'backup', req.params.name, null, 'delete', { name: req.params.name });
+        res.json({ ok: true });
+    });
+});
+
+// Database integrity check, attachment rows whose file is missing and files in uploads/ nothing refers to
+app.get('/api/admin/integrity', auth, sessionOnly, reqRole('admin'), async (req, res) => {
+    try {
+        res.json(await checkIntegrity(db, uploadDir));
+    } catch (e) {
+        console.error('Integrity check error:', e);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// USERS
+app.get('/api/users', auth, reqRole('admin'), (req, res) => {
+    db.all("SELECT id,username,display_name,email,role,active,created_at,last_login FROM users ORDER BY username", (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+// Get active users for dropdowns (all authenticated users can access)
+app.get('/api/users/list', auth, (req, res) => {
+    db.all("SELECT id,username,display_name,role FROM users WHERE active=1 ORDER BY display_name,username", (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+app.post('/api/users', auth, reqRole('admin'), (req, res) => {
+    const { username, password, display_name, email, role } = req.body;
+    if (!username || !password) return res.status(400).json({ error: 'Required' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    if (!['readonly','edit','teamlead','admin'].includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    hashPassword(password, (e, h) => {
+        if (e) return res.status(500).json({ error: 'Password hashing failed' });
+        db.run(`INSERT INTO users (username,password,display_name,email,role) VALUES (?,?,?,?,?)`, [username, h, display_name, email, role], function(e) {
+            if (e) return res.status(500).json({ error: e.message.includes('UNIQUE') ? 'Username exists' : e.message });
+            audit(req, 'user', this.lastID, null, 'create', null, { id: this.lastID, username, display_name, email, role, active: 1 });
+            res.json({ id: this.lastID });
+        });
+    });
+});
+
+app.put('/api/users/:id', auth, reqRole('admin'), (req, res) => {
+    const { display_name, email, role, active } = req.body;
+    if (parseInt(req.params.id) === req.user.id && role !== 'admin') return res.status(400).json({ error: 'Cannot change own role' });
+    db.get("SELECT id,username,display_name,email,role,active FROM users WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        db.run(`UPDATE users SET display_name=?,email=?,role=?,active=? WHERE id=?`, [display_name, email, role, active?1:0, req.params.id], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            const changes = this.changes;
+            if (changes) audit(req, 'user', req.params.id, null, 'update', before, { display_name, email, role, active: active?1:0 });
+            // Task owners are linked by ID, so a rename only refreshes the name shown on their tasks
+            const name = before && userName({ ...before, display_name });
+            if (changes && name !== userName(before)) updateOwnedTasks(req, 'owner_id=? AND owner IS NOT ?', [req.params.id, name], { owner: name }).catch(ownerUpdateFailed);
+            // Deactivated users are signed out immediately; openTasks tells the caller what still needs reassigning
+            if (active) return res.json({ changes });
+            // Their API tokens stop working too, so streams opened with one are closed as well
+            closeLiveStreams(s => s.userId === parseInt(req.params.id));
+            revokeUserSessions(req.params.id, (e, revoked) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                db.get(`SELECT COUNT(*) as n FROM tasks WHERE owner_id=? AND status<>'Complete' AND ${LIVE_TASKS}`, [req.params.id], (e, open) => {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    res.json({ changes, sessionsRevoked: revoked, openTasks: open.n });
+                });
+            });
+        });
+    });
+});
+
+app.get('/api/users/:id/sessions', auth, reqRole('admin'), (req, res) => {
+    db.all("SELECT id,ip,user_agent,created_at,last_seen,expires FROM sessions WHERE user_id=? AND expires>=? ORDER BY last_seen DESC", [req.params.id, Date.now()], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+app.delete('/api/users/:id/sessions', auth, reqRole('admin'), (req, res) => {
+    revokeUserSessions(req.params.id, (e, revoked) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ changes: revoked });
+    });
+});
+
+app.post('/api/users/:id/reset-password', auth, reqRole('admin'), (req, res) => {
+    const { newPassword } = req.body;
+    if (!newPassword || newPassword.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    db.get("SELECT username FROM users WHERE id=?", [req.params.id], (e, u) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!u) return res.status(404).json({ error: 'Not found' });
+        hashPassword(newPassword, (e, h) => {
+            if (e) return res.status(500).json({ error: 'Password hashing failed' });
+            db.run("UPDATE users SET password=? WHERE id=?", [h, req.params.id], (e) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'user', req.params.id, null, 'reset-password', null, { username: u.username });
+                revokeUserSessions(req.params.id);
+                res.json({ ok: true });
+            });
+        });
+    });
+});
+
+// A user's open tasks across all projects, for reassigning them before deactivating or deleting the user
+app.get('/api/users/:id/tasks', auth, reqRole('admin'), (req, res) => {
+    db.all(`SELECT t.id, t.name, t.status, t.due_date, t.project_id, p.name as project_name FROM tasks t JOIN projects p ON p.id=t.project_id
+        WHERE t.owner_id=? AND t.status<>'Complete' AND t.deleted_at IS NULL AND p.deleted_at IS NULL ORDER BY p.name, t.id`, [req.params.id], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+// Body: { to_user_id } (omit or null to unassign), include_complete. Completed tasks keep their owner by default
+app.post('/api/users/:id/reassign', auth, reqRole('admin'), (req, res) => {
+    const { to_user_id, include_complete } = req.body;
+    if (to_user_id && parseInt(to_user_id) === parseInt(req.params.id)) return res.status(400).json({ error: 'Pick a different user' });
+    db.get("SELECT * FROM users WHERE id=? AND active=1", [to_user_id || 0], (e, to) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (to_user_id && !to) return res.status(400).json({ error: 'Tasks can only be reassigned to an active user' });
+        reassignTasks(req, req.params.id, to || null, !!include_complete).then(changes => {
+            if (!to || to.role === 'admin') return res.json({ changes });
+            // Non-admins only see projects they're members of, so point out any they'd be missing
+            db.all(`SELECT DISTINCT p.id, p.name FROM tasks t JOIN projects p ON p.id=t.project_id WHERE t.owner_id=?
+                AND p.id NOT IN (SELECT project_id FROM project_members WHERE user_id=?) ORDER BY p.name`, [to.id, to.id], (e, r) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                res.json(r.length ? { changes, notMemberOf: r } : { changes });
+            });
+        }).catch(err => { console.error('Reassign error:', err); res.status(500).json({ error: 'Database error' }); });
+    });
+});
+
+// Users who still own open tasks can only be deleted with ?reassign_to=<user id>, or ?reassign_to=none
+// to unassign them. Completed tasks keep the deleted user's name as plain text.
+app.delete('/api/users/:id', auth, reqRole('admin'), (req, res) => {
+    if (parseInt(req.params.id) === req.user.id) return res.status(400).json({ error: 'Cannot delete self' });
+    const reassignTo = req.query.reassign_to;
+    db.get("SELECT id,username,display_name,email,role,active FROM users WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        db.get(`SELECT COUNT(*) as n FROM tasks WHERE owner_id=? AND status<>'Complete' AND ${LIVE_TASKS}`, [req.params.id], (e, open) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (open.n && !reassignTo) return res.status(409).json({ error: `${userName(before)} owns ${open.n} open task${open.n === 1 ? '' : 's'} — reassign them first`, openTasks: open.n });
+            db.get("SELECT * FROM users WHERE id=? AND active=1", [reassignTo === 'none' ? 0 : reassignTo || 0], (e, to) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                if (open.n && reassignTo !== 'none' && (!to || to.id === before.id)) return res.status(400).json({ error: 'Tasks can only be reassigned to another active user' });
+                (open.n ? reassignTasks(req, before.id, to || null, false) : Promise.resolve(0)).then(reassigned => {
+                    db.run("DELETE FROM users WHERE id=?", [req.params.id], function(e) {
+                        if (e) return res.status(500).json({ error: 'Database error' });
+                        const changes = this.changes;
+                        if (changes) audit(req, 'user', req.params.id, null, 'delete', before);
+                        db.run("DELETE FROM project_members WHERE user_id=?", [req.params.id]);
+                        db.run("DELETE FROM api_tokens WHERE user_id=?", [req.params.id]);
+                        closeLiveStreams(s => s.userId === parseInt(req.params.id));
+                        db.run("DELETE FROM comment_mentions WHERE user_id=?", [req.params.id]);
+                        updateOwnedTasks(req, 'owner_id=?', [req.params.id], { owner_id: null }).catch(ownerUpdateFailed);
+                        revokeUserSessions(req.params.id, () => res.json(reassigned ? { changes, reassigned } : { changes }));
+                    });
+                }).catch(err => { console.error('Reassign error:', err); res.status(500).json({ error: 'Database error' }); });
+            });
+        });
+    });
+});
+
+// TEMPLATES - named sets of workstreams, default tasks, contacts and risks; new projects pick one
+const TEMPLATE_TABLES = ['default_workstreams', 'default_tasks', 'default_contacts', 'default_risks'];
+
+// Template-scoped routes take ?template_id= (or template_id in the body) and fall back to the default template
+function withTemplate(req, res, next) {
+    const id = req.query.template_id || req.body?.template_id;
+    db.get(id ? "SELECT id FROM templates WHERE id=?" : "SELECT id FROM templates WHERE is_default=1", id ? [id] : [], (e, t) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!t) return res.status(404).json({ error: 'Template not found' });
+        req.templateId = t.id;
+        next();
+    });
+}
+
+app.get('/api/admin/templates', auth, (req, res) => {
+    db.all(`SELECT t.*, (SELECT COUNT(*) FROM default_workstreams WHERE template_id=t.id AND active=1) as workstream_count, (SELECT COUNT(*) FROM default_tasks WHERE template_id=t.id AND active=1) as task_count
+        FROM templates t ORDER BY is_default DESC, name`, (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+// copy_from: start the new template as a copy of an existing one instead of empty
+app.post('/api/admin/templates', auth, reqRole('admin'), async (req, res) => {
+    const { name, description, copy_from } = req.body;
+    if (!name) return res.status(400).json({ error: 'Name required' });
+    try {
+        if (copy_from && !(await dbGet("SELECT id FROM templates WHERE id=?", [copy_from]))) return res.status(404).json({ error: 'Template not found' });
+        const id = await transaction(async tx => {
+            const id = (await tx.run("INSERT INTO templates (name, description) VALUES (?, ?)", [name, description])).lastID;
+            if (copy_from) {
+                await tx.run(`INSERT INTO default_workstreams (template_id,name,color,sort_order,active) SELECT ?,name,color,sort_order,active FROM default_workstreams WHERE template_id=?`, [id, copy_from]);
+                await tx.run(`INSERT INTO default_tasks (template_id,id,workstream,name,description,priority,dependencies,sort_order,active,checklist) SELECT ?,id,workstream,name,description,priority,dependencies,sort_order,active,checklist FROM default_tasks WHERE template_id=?`, [id, copy_from]);
+                await tx.run(`INSERT INTO default_contacts (template_id,workstream,role,company,sort_order,active) SELECT ?,workstream,role,company,sort_order,active FROM default_contacts WHERE template_id=?`, [id, copy_from]);
+                await tx.run(`INSERT INTO default_risks (template_id,workstream,description,likelihood,impact,mitigation,sort_order,active) SELECT ?,workstream,description,likelihood,impact,mitigation,sort_order,active FROM default_risks WHERE template_id=?`, [id, copy_from]);
+            }
+            return id;
+        });
+        res.json({ id });
+    } catch (err) {
+        if (/UNIQUE/.test(err.message)) return res.status(409).json({ error: 'A template with that name already exists' });
+        console.error('Template create error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.put('/api/admin/templates/:id', auth, reqRole('admin'), (req, res) => {
+    const { name, description, is_default } = req.body;
+    if (!name) return res.status(400).json({ error: 'Name required' });
+    db.serialize(() => {
+        // Exactly one template is the default
+        if (is_default) db.run("UPDATE templates SET is_default=0 WHERE id<>? AND EXISTS (SELECT 1 FROM templates WHERE id=?)", [req.params.id, req.params.id]);
+        db.run(`UPDATE templates SET name=?,description=?${is_default ? ',is_default=1' : ''} WHERE id=?`, [name, description, req.params.id], function(e) {
+            if (e) return res.status(/UNIQUE/.test(e.message) ? 409 : 500).json({ error: /UNIQUE/.test(e.message) ? 'A template with that name already exists' : 'Database error' });
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+app.delete('/api/admin/templates/:id', auth, reqRole('admin'), (req, res) => {
+    db.get("SELECT * FROM templates WHERE id=?", [req.params.id], (e, t) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!t) return res.status(404).json({ error: 'Not found' });
+        if (t.is_default) return res.status(400).json({ error: 'Make another template the default before deleting this one' });
+        db.serialize(() => {
+            TEMPLATE_TABLES.forEach(table => db.run(`DELETE FROM ${table} WHERE template_id=?`, [t.id]));
+            db.run("UPDATE projects SET template_id=NULL,version=version+1 WHERE template_id=?", [t.id]);
+            db.run("DELETE FROM templates WHERE id=?", [t.id], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                res.json({ changes: this.changes });
+            });
+        });
+    });
+});
+
+// WORKSTREAMS
+app.get('/api/admin/workstreams', auth, withTemplate, (req, res) => {
+    db.all("SELECT * FROM default_workstreams WHERE template_id=? ORDER BY sort_order", [req.templateId], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+app.post('/api/admin/workstreams', auth, reqRole('admin'), withTemplate, (req, res) => {
+    const { name, color } = req.body;
+    if (!name) return res.status(400).json({ error: 'Name required' });
+    db.run(`INSERT INTO default_workstreams (template_id,name,color,sort_order) VALUES (?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_workstreams WHERE template_id=?))`, [req.templateId, name, color||'#718096', req.templateId], function(e) {
+        if (e) return res.status(500).json({ error: e.message });
+        res.json({ id: this.lastID });
+    });
 });
 app.put('/api/admin/workstreams/:id', auth, reqRole('admin'), (req, res) => {
     const { name, color, sort_order, active } = req.body;
@@ -312,280 +1497,1884 @@ app.delete('/api/admin/workstreams/:id', auth, reqRole('admin'), (req, res) => {
 });
 
 // DEFAULT TASKS
-app.get('/api/admin/default-tasks', auth, (req, res) => {
-    db.all("SELECT * FROM default_tasks ORDER BY workstream,sort_order", (e, r) => {
+app.get('/api/admin/default-tasks', auth, withTemplate, (req, res) => {
+    db.all("SELECT * FROM default_tasks WHERE template_id=? ORDER BY workstream,sort_order", [req.templateId], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json(r || []);
+        res.json((r || []).map(t => ({ ...t, checklist: templateChecklist(t.checklist).map(([title, recurrence]) => ({ title, recurrence })) })));
     });
 });
-app.post('/api/admin/default-tasks', auth, reqRole('admin'), (req, res) => {
+// Same checks as project tasks: unknown IDs and cycles are rejected, cross-workstream links are warnings
+function checkDefaultTaskDependencies(req, res, task, next) {
+    db.all("SELECT id,workstream,dependencies FROM default_tasks WHERE template_id=?", [req.templateId], (e, rows) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        const v = validateDependencies(rows || [], task);
+        if (v.unknown.length) return res.status(400).json({ error: `Unknown dependencies: ${v.unknown.join(', ')}`, unknown: v.unknown });
+        if (v.cycle) return res.status(400).json({ error: `Dependency cycle: ${v.cycle.join(' → ')}`, cycle: v.cycle });
+        next(v.crossWorkstream);
+    });
+}
+app.post('/api/admin/default-tasks', auth, reqRole('admin'), withTemplate, (req, res) => {
     const { id, workstream, name, description, priority, dependencies } = req.body;
     if (!id || !workstream || !name) return res.status(400).json({ error: 'Required fields' });
-    db.run(`INSERT INTO default_tasks (id,workstream,name,description,priority,dependencies,sort_order) VALUES (?,?,?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_tasks WHERE workstream=?))`,
-        [id, workstream, name, description, priority||'Medium', dependencies||'', workstream], function(e) {
-            if (e) return res.status(500).json({ error: e.message });
-            res.json({ ok: true });
-        });
+    const checklist = parseChecklist(req.body.checklist);
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+    checkDefaultTaskDependencies(req, res, { id, workstream, dependencies }, (warnings) => {
+        db.run(`INSERT INTO default_tasks (template_id,id,workstream,name,description,priority,dependencies,checklist,sort_order) VALUES (?,?,?,?,?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_tasks WHERE template_id=? AND workstream=?))`,
+            [req.templateId, id, workstream, name, description, priority||'Medium', parseDeps(dependencies).join(', '), checklistJson(checklist.items), req.templateId, workstream], function(e) {
+                if (e) return res.status(500).json({ error: e.message });
+                res.json(warnings.length ? { ok: true, warnings } : { ok: true });
+            });
+    });
 });
-app.put('/api/admin/default-tasks/:id', auth, reqRole('admin'), (req, res) => {
+app.put('/api/admin/default-tasks/:id', auth, reqRole('admin'), withTemplate, (req, res) => {
     const { workstream, name, description, priority, dependencies, sort_order, active } = req.body;
-    db.run(`UPDATE default_tasks SET workstream=?,name=?,description=?,priority=?,dependencies=?,sort_order=?,active=? WHERE id=?`,
-        [workstream, name, description, priority, dependencies, sort_order, active?1:0, req.params.id], function(e) {
-            if (e) return res.status(500).json({ error: 'Database error' });
-            res.json({ changes: this.changes });
-        });
+    // The checklist is left as it is when it isn't sent
+    const checklist = parseChecklist(req.body.checklist), keep = req.body.checklist === undefined;
+    if (checklist.error) return res.status(400).json({ error: checklist.error });
+    checkDefaultTaskDependencies(req, res, { id: req.params.id, workstream, dependencies }, (warnings) => {
+        db.run(`UPDATE default_tasks SET workstream=?,name=?,description=?,priority=?,dependencies=?,sort_order=?,active=?,checklist=${keep ? 'checklist' : '?'} WHERE id=? AND template_id=?`,
+            [workstream, name, description, priority, parseDeps(dependencies).join(', '), sort_order, active?1:0, ...(keep ? [] : [checklistJson(checklist.items)]), req.params.id, req.templateId], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                res.json(warnings.length ? { changes: this.changes, warnings } : { changes: this.changes });
+            });
+    });
 });
-app.delete('/api/admin/default-tasks/:id', auth, reqRole('admin'), (req, res) => {
-    db.run("DELETE FROM default_tasks WHERE id=?", [req.params.id], function(e) {
+app.delete('/api/admin/default-tasks/:id', auth, reqRole('admin'), withTemplate, (req, res) => {
+    db.run("DELETE FROM default_tasks WHERE id=? AND template_id=?", [req.params.id, req.templateId], function(e) {
         if (e) return res.status(500).json({ error: 'Database error' });
         res.json({ changes: this.changes });
     });
 });
 
-// PROJECTS
-app.get('/api/projects', auth, (req, res) => {
-    db.all(`SELECT p.*, (SELECT COUNT(*) FROM tasks WHERE project_id=p.id) as task_count, (SELECT COUNT(*) FROM tasks WHERE project_id=p.id AND status='Complete') as completed_count, (SELECT AVG(percent_complete) FROM tasks WHERE project_id=p.id) as overall_progress FROM projects p ORDER BY created_at DESC`, (e, r) => {
+// DEFAULT CONTACTS / RISKS - copied into every new project alongside the default tasks
+app.get('/api/admin/default-contacts', auth, withTemplate, (req, res) => {
+    db.all("SELECT * FROM default_contacts WHERE template_id=? ORDER BY workstream,sort_order", [req.templateId], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+app.post('/api/admin/default-contacts', auth, reqRole('admin'), withTemplate, (req, res) => {
+    const { workstream, role, company } = req.body;
+    if (!workstream || !role) return res.status(400).json({ error: 'Required fields' });
+    db.run(`INSERT INTO default_contacts (template_id,workstream,role,company,sort_order) VALUES (?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_contacts WHERE template_id=? AND workstream=?))`, [req.templateId, workstream, role, company, req.templateId, workstream], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ id: this.lastID });
+    });
+});
+app.put('/api/admin/default-contacts/:id', auth, reqRole('admin'), (req, res) => {
+    const { workstream, role, company, sort_order, active } = req.body;
+    db.run(`UPDATE default_contacts SET workstream=?,role=?,company=?,sort_order=?,active=? WHERE id=?`, [workstream, role, company, sort_order, active?1:0, req.params.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ changes: this.changes });
+    });
+});
+app.delete('/api/admin/default-contacts/:id', auth, reqRole('admin'), (req, res) => {
+    db.run("DELETE FROM default_contacts WHERE id=?", [req.params.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ changes: this.changes });
+    });
+});
+
+app.get('/api/admin/default-risks', auth, withTemplate, (req, res) => {
+    db.all("SELECT * FROM default_risks WHERE template_id=? ORDER BY workstream,sort_order", [req.templateId], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
         res.json(r || []);
     });
 });
+app.post('/api/admin/default-risks', auth, reqRole('admin'), withTemplate, (req, res) => {
+    const { workstream, description, mitigation } = req.body;
+    const likelihood = riskLevel(req.body.likelihood), impact = riskLevel(req.body.impact);
+    if (likelihood === undefined || impact === undefined) return res.status(400).json({ error: `Likelihood and impact must be one of ${RISK_LEVELS.join(', ')}` });
+    if (!workstream || !description) return res.status(400).json({ error: 'Required fields' });
+    db.run(`INSERT INTO default_risks (template_id,workstream,description,likelihood,impact,mitigation,sort_order) VALUES (?,?,?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_risks WHERE template_id=? AND workstream=?))`,
+        [req.templateId, workstream, description, likelihood||'Medium', impact||'Medium', mitigation, req.templateId, workstream], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json({ id: this.lastID });
+        });
+});
+app.put('/api/admin/default-risks/:id', auth, reqRole('admin'), (req, res) => {
+    const { workstream, description, mitigation, sort_order, active } = req.body;
+    const likelihood = riskLevel(req.body.likelihood), impact = riskLevel(req.body.impact);
+    if (likelihood === undefined || impact === undefined) return res.status(400).json({ error: `Likelihood and impact must be one of ${RISK_LEVELS.join(', ')}` });
+    db.run(`UPDATE default_risks SET workstream=?,description=?,likelihood=?,impact=?,mitigation=?,sort_order=?,active=? WHERE id=?`, [workstream, description, likelihood, impact, mitigation, sort_order, active?1:0, req.params.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ changes: this.changes });
+    });
+});
+app.delete('/api/admin/default-risks/:id', auth, reqRole('admin'), (req, res) => {
+    db.run("DELETE FROM default_risks WHERE id=?", [req.params.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ changes: this.changes });
+    });
+});
+
+// WORKSTREAM PACKS - a workstream with its default tasks, contacts and risks as one JSON file:
+// { format, version, workstream: { name, color }, tasks: [{ id, name, description, priority, dependencies, checklist }],
+//   contacts: [{ role, company }], risks: [{ description, likelihood, impact, mitigation }] }
+const PACK_FORMAT = 'it-tracker-workstream-pack';
+const isDryRun = req => ['1', 'true'].includes(String(req.query.dry_run ?? req.body?.dry_run));
+const riskNumber = id => parseInt((String(id).match(/^RISK-(\d+)$/) || [])[1]) || 0;
+
+app.get('/api/admin/workstreams/:id/pack', auth, reqRole('admin'), async (req, res) => {
+    try {
+        const ws = await dbGet("SELECT * FROM default_workstreams WHERE id=?", [req.params.id]);
+        if (!ws) return res.status(404).json({ error: 'Not found' });
+        const pack = {
+            format: PACK_FORMAT, version: 1, exportedAt: new Date().toISOString(),
+            workstream: { name: ws.name, color: ws.color },
+            tasks: (await dbAll("SELECT id,name,description,priority,dependencies,checklist FROM default_tasks WHERE template_id=? AND workstream=? AND active=1 ORDER BY sort_order", [ws.template_id, ws.name]))
+                .map(t => ({ ...t, checklist: templateChecklist(t.checklist).map(([title, recurrence]) => ({ title, recurrence })) })),
+            contacts: await dbAll("SELECT role,company FROM default_contacts WHERE template_id=? AND workstream=? AND active=1 ORDER BY sort_order", [ws.template_id, ws.name]),
+            risks: await dbAll("SELECT description,likelihood,impact,mitigation FROM default_risks WHERE template_id=? AND workstream=? AND active=1 ORDER BY sort_order", [ws.template_id, ws.name])
+        };
+        res.setHeader('Content-Disposition', `attachment; filename="${ws.name.replace(/[^a-z0-9]/gi, '_')}_pack.json"`);
+        res.json(pack);
+    } catch (err) {
+        console.error('Pack export error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+function validatePack(pack) {
+    if (!pack || pack.format !== PACK_FORMAT) return `Not a workstream pack (expected format "${PACK_FORMAT}")`;
+    if (!pack.workstream?.name) return 'Pack has no workstream name';
+    for (const k of ['tasks', 'contacts', 'risks']) if (pack[k] !== undefined && !Array.isArray(pack[k])) return `"${k}" must be a list`;
+    const ids = (pack.tasks || []).map(t => String(t.id || '').toUpperCase());
+    if ((pack.tasks || []).some(t => !t.id || !t.name)) return 'Every task needs an id and a name';
+    if (new Set(ids).size !== ids.length) return 'Pack has duplicate task IDs';
+    for (const t of pack.tasks || []) { const c = parseChecklist(t.checklist); if (c.error) return `${t.id}: ${c.error}`; }
+    if ((pack.contacts || []).some(c => !c.role)) return 'Every contact needs a role';
+    if ((pack.risks || []).some(r => !r.description)) return 'Every risk needs a description';
+    if ((pack.risks || []).some(r => riskLevel(r.likelihood) === undefined || riskLevel(r.impact) === undefined)) return `Risk likelihood and impact must be one of ${RISK_LEVELS.join(', ')}`;
+    return null;
+}
+
+// Works out what importing `pack` would add, skipping anything already there: default tasks by ID,
+// default contacts by role + company and default risks by description within the workstream, and the
+// same per project (tasks by ID, contacts by role, risks by description), as migrate-add-hr.js did
+async function planPack(pack, templateId, projectIds) {
+    const name = pack.workstream.name, key = v => String(v || '').trim().toLowerCase();
+    const tasks = (pack.tasks || []).map(t => ({ ...t, id: String(t.id).toUpperCase(), workstream: name, priority: t.priority || 'Medium', dependencies: parseDeps(t.dependencies).join(', '), checklist: checklistJson(parseChecklist(t.checklist).items) }));
+    const contacts = (pack.contacts || []).map(c => ({ role: c.role, company: c.company || null, workstream: name }));
+    const risks = (pack.risks || []).map(r => ({ description: r.description, likelihood: riskLevel(r.likelihood) || 'Medium', impact: riskLevel(r.impact) || 'Medium', mitigation: r.mitigation || null, workstream: name }));
+
+    const defaults = await dbAll("SELECT id,workstream,dependencies FROM default_tasks WHERE template_id=?", [templateId]);
+    const known = new Map(defaults.map(t => [t.id, t]));
+    const rows = [...defaults, ...tasks.filter(t => !known.has(t.id))];
+    for (const t of tasks.filter(t => !known.has(t.id))) {
+        const v = validateDependencies(rows, t);
+        if (v.unknown.length) throw Object.assign(new Error(`${t.id}: unknown dependencies ${v.unknown.join(', ')}`), { status: 400 });
+        if (v.cycle) throw Object.assign(new Error(`Dependency cycle: ${v.cycle.join(' → ')}`), { status: 400 });
+    }
+    const haveContacts = new Set((await dbAll("SELECT role,company FROM default_contacts WHERE template_id=? AND workstream=?", [templateId, name])).map(c => key(c.role) + '|' + key(c.company)));
+    const haveRisks = new Set((await dbAll("SELECT description FROM default_risks WHERE template_id=? AND workstream=?", [templateId, name])).map(r => key(r.description)));
+    const plan = {
+        templateId, workstream: { ...pack.workstream, exists: !!(await dbGet("SELECT id FROM default_workstreams WHERE template_id=? AND name=?", [templateId, name])) },
+        tasks: tasks.filter(t => !known.has(t.id)),
+        skippedTasks: tasks.filter(t => known.has(t.id)).map(t => known.get(t.id).workstream === name ? t.id : `${t.id} (belongs to ${known.get(t.id).workstream})`),
+        contacts: contacts.filter(c => !haveContacts.has(key(c.role) + '|' + key(c.company))),
+        risks: risks.filter(r => !haveRisks.has(key(r.description))),
+        projects: []
+    };
+    for (const pid of projectIds) {
+        const project = await dbGet("SELECT id,name FROM projects WHERE id=?", [pid]);
+        if (!project) throw Object.assign(new Error(`Project ${pid} not found`), { status: 400 });
+        const taskIds = new Set((await dbAll("SELECT id FROM tasks WHERE project_id=?", [pid])).map(t => t.id));
+        const roles = new Set((await dbAll("SELECT role FROM contacts WHERE project_id=? AND workstream=?", [pid, name])).map(c => key(c.role)));
+        const projectRisks = await dbAll("SELECT id,description FROM risks WHERE project_id=?", [pid]);
+        const descriptions = new Set(projectRisks.map(r => key(r.description)));
+        let next = Math.max(0, ...projectRisks.map(r => riskNumber(r.id))) + 1;
+        plan.projects.push({
+            id: project.id, name: project.name,
+            tasks: tasks.filter(t => !taskIds.has(t.id)),
+            contacts: contacts.filter(c => !roles.has(key(c.role))),
+            risks: risks.filter(r => !descriptions.has(key(r.description))).map(r => ({ id: `RISK-${String(next++).padStart(3, '0')}`, ...r }))
+        });
+    }
+    return plan;
+}
+
+async function applyPack(req, plan) {
+    const ws = plan.workstream, tid = plan.templateId;
+    await transaction(async tx => {
+        if (!ws.exists) await tx.run(`INSERT INTO default_workstreams (template_id,name,color,sort_order) VALUES (?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_workstreams WHERE template_id=?))`, [tid, ws.name, ws.color || '#718096', tid]);
+        for (const t of plan.tasks) await tx.run(`INSERT INTO default_tasks (template_id,id,workstream,name,description,priority,dependencies,checklist,sort_order) VALUES (?,?,?,?,?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_tasks WHERE template_id=? AND workstream=?))`, [tid, t.id, ws.name, t.name, t.description, t.priority, t.dependencies, t.checklist, tid, ws.name]);
+        for (const c of plan.contacts) await tx.run(`INSERT INTO default_contacts (template_id,workstream,role,company,sort_order) VALUES (?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_contacts WHERE template_id=? AND workstream=?))`, [tid, ws.name, c.role, c.company, tid, ws.name]);
+        for (const r of plan.risks) await tx.run(`INSERT INTO default_risks (template_id,workstream,description,likelihood,impact,mitigation,sort_order) VALUES (?,?,?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM default_risks WHERE template_id=? AND workstream=?))`, [tid, ws.name, r.description, r.likelihood, r.impact, r.mitigation, tid, ws.name]);
+        for (const p of plan.projects) {
+            for (const t of p.tasks) {
+                const checklist = templateChecklist(t.checklist);
+                await tx.run(`INSERT INTO tasks (id,project_id,workstream,name,description,priority,status,percent_complete,dependencies,auto_progress) VALUES (?,?,?,?,?,?,?,?,?,?)`, [t.id, p.id, ws.name, t.name, t.description, t.priority, 'Not Started', 0, t.dependencies, checklist.some(i => !i[1]) ? 1 : 0]);
+                for (const i of checklist) await tx.run(CHECKLIST_INSERT, [p.id, t.id, ...i]);
+            }
+            for (const c of p.contacts) c.id = (await tx.run(`INSERT INTO contacts (project_id,role,company,workstream) VALUES (?,?,?,?)`, [p.id, c.role, c.company, ws.name])).lastID;
+            for (const r of p.risks) await tx.run(`INSERT INTO risks (id,project_id,description,workstream,likelihood,impact,mitigation) VALUES (?,?,?,?,?,?,?)`, [r.id, p.id, r.description, ws.name, r.likelihood, r.impact, r.mitigation]);
+        }
+    });
+    plan.projects.forEach(p => {
+        p.tasks.forEach(t => audit(req, 'task', t.id, p.id, 'create', null, { id: t.id, workstream: ws.name, name: t.name, description: t.description, priority: t.priority, status: 'Not Started', percent_complete: 0, dependencies: t.dependencies }));
+        p.contacts.forEach(c => audit(req, 'contact', c.id, p.id, 'create', null, { id: c.id, role: c.role, company: c.company, workstream: ws.name }));
+        p.risks.forEach(r => audit(req, 'risk', r.id, p.id, 'create', null, r));
+    });
+}
+
+// Body: { pack, template_id, projects: [ids] | 'all' }. ?dry_run=1 (or dry_run in the body) only reports what would be added.
+app.post('/api/admin/packs', auth, reqRole('admin'), withTemplate, async (req, res) => {
+    const { pack, projects } = req.body;
+    const invalid = validatePack(pack);
+    if (invalid) return res.status(400).json({ error: invalid });
+    try {
+        const projectIds = projects === 'all' ? (await dbAll("SELECT id FROM projects ORDER BY id")).map(p => p.id) : (Array.isArray(projects) ? projects : []).map(Number);
+        const plan = await planPack(pack, req.templateId, projectIds);
+        const dryRun = isDryRun(req);
+        if (!dryRun) await applyPack(req, plan);
+        res.json({
+            dryRun, workstream: { name: plan.workstream.name, created: !plan.workstream.exists },
+            templates: { tasks: plan.tasks.map(t => t.id), contacts: plan.contacts.map(c => c.role), risks: plan.risks.map(r => r.description), skippedTasks: plan.skippedTasks },
+            projects: plan.projects.map(p => ({ id: p.id, name: p.name, tasks: p.tasks.map(t => t.id), contacts: p.contacts.map(c => c.role), risks: p.risks.map(r => r.id) }))
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Pack import error:', err);
+        res.status(500).json({ error: 'Pack import failed — nothing was saved' });
+    }
+});
+
+// WEBHOOKS - admin-managed subscriptions to task, risk, contact, project and comment events. Each change that
+// reaches the audit trail is queued for every matching subscription and POSTed as JSON, signed with the
+// subscription's secret in X-Tracker-Signature: sha256=<HMAC-SHA256 of the raw body>. Failed deliveries
+// are retried with backoff, and every attempt's outcome is kept in webhook_deliveries for 30 days.
+const WEBHOOK_ENTITIES = ['task', 'risk', 'contact', 'project', 'comment'];
+const WEBHOOK_ACTIONS = { create: 'created', update: 'updated', delete: 'deleted', restore: 'restored' };
+const WEBHOOK_EVENTS = WEBHOOK_ENTITIES.flatMap(e => Object.values(WEBHOOK_ACTIONS).map(a => `${e}.${a}`));
+const WEBHOOK_RETRY_MINUTES = [1, 5, 30, 120, 720]; // wait before attempts 2-6; after the 6th it's marked failed
+const WEBHOOK_TIMEOUT_MS = 10000;
+const webhookSending = new Set(); // delivery ids with a request in flight
+
+// A subscription's events are a comma-separated list of '*', 'task.*' or exact names like 'risk.created'
+const eventMatches = (patterns, event) => patterns.split(',').some(p => p === '*' || p === event || (p.endsWith('.*') && event.startsWith(p.slice(0, -1))));
+
+// Array or comma-separated string → normalised list string, or null if it's empty or has an unknown event
+function parseEvents(events) {
+    const list = (Array.isArray(events) ? events : String(events ?? '*').split(',')).map(e => String(e).trim()).filter(Boolean);
+    const known = e => e === '*' || WEBHOOK_EVENTS.includes(e) || WEBHOOK_ENTITIES.some(en => e === en + '.*');
+    return list.length && list.every(known) ? [...new Set(list)].join(',') : null;
+}
+
+const validWebhookUrl = u => { try { return ['http:', 'https:'].includes(new URL(u).protocol); } catch { return false; } };
+
+// Called from audit() for every recorded change
+function emitWebhookEvent(req, entityType, entityId, projectId, action, before, after, changes) {
+    if (!WEBHOOK_ENTITIES.includes(entityType) || !WEBHOOK_ACTIONS[action]) return;
+    const event = `${entityType}.${WEBHOOK_ACTIONS[action]}`;
+    db.all("SELECT id,events FROM webhooks WHERE active=1 AND (project_id IS NULL OR project_id=?)", [projectId || 0], (e, hooks) => {
+        hooks = (hooks || []).filter(h => eventMatches(h.events, event));
+        if (e || !hooks.length) return;
+        const row = action === 'delete' ? before : { ...before, ...after };
+        db.get("SELECT name FROM projects WHERE id=?", [projectId || 0], (e, project) => {
+            const payload = {
+                event, timestamp: new Date().toISOString(),
+                project: projectId ? { id: parseInt(projectId), name: project?.name ?? (entityType === 'project' ? row?.name : null) } : null,
+                entity: { type: entityType, id: String(entityId) },
+                actor: req.user ? { id: req.user.id, username: req.user.username } : null,
+                data: snapshot(row),
+                ...(action === 'update' ? { changes } : {})
+            };
+            hooks.forEach(h => queueDelivery(h.id, event, payload));
+        });
+    });
+}
+
+function queueDelivery(webhookId, event, payload, cb) {
+    db.run("INSERT INTO webhook_deliveries (webhook_id,event,payload,next_attempt_at) VALUES (?,?,?,?)", [webhookId, event, JSON.stringify(payload), Date.now()], function(e) {
+        if (e) { console.error('Webhook queue error:', e); return cb && cb(e); }
+        attemptDelivery(this.lastID, cb);
+    });
+}
+
+// One POST of a queued delivery; cb gets the delivery's new state. Test pings are never retried.
+function attemptDelivery(id, cb) {
+    if (webhookSending.has(id)) return cb && cb(null, { id, status: 'pending' });
+    webhookSending.add(id);
+    db.get("SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id=d.webhook_id WHERE d.id=?", [id], (e, d) => {
+        if (e || !d) { webhookSending.delete(id); return cb && cb(e); }
+        const attempts = d.attempts + 1;
+        const finish = (status, error, body) => {
+            const ok = status >= 200 && status < 300;
+            const retry = !ok && d.event !== 'ping' && attempts <= WEBHOOK_RETRY_MINUTES.length;
+            const state = ok ? 'success' : retry ? 'pending' : 'failed';
+            db.run(`UPDATE webhook_deliveries SET status=?,attempts=?,response_status=?,response_body=?,error=?,next_attempt_at=?,last_attempt_at=CURRENT_TIMESTAMP WHERE id=?`,
+                [state, attempts, status || null, body ? body.slice(0, 2000) : null, error, retry ? Date.now() + WEBHOOK_RETRY_MINUTES[attempts - 1] * 60000 : null, id], () => {
+                    webhookSending.delete(id);
+                    if (cb) cb(null, { id, status: state, attempts, response_status: status || null, error });
+                });
+        };
+        fetch(d.url, {
+            method: 'POST', body: d.payload, redirect: 'manual', signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'IT-Integration-Tracker-Webhooks', 'X-Tracker-Event': d.event, 'X-Tracker-Delivery': String(id),
+                'X-Tracker-Signature': 'sha256=' + crypto.createHmac('sha256', d.secret).update(d.payload).digest('hex') }
+        }).then(async r => finish(r.status, r.ok ? null : `HTTP ${r.status}`, await r.text().catch(() => '')))
+            .catch(err => finish(0, err.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000}s` : err.cause?.message || err.message));
+    });
+}
+
+// Retry due deliveries every 30 seconds (paused subscriptions wait until they're re-enabled) and prune old log rows hourly
+setInterval(() => {
+    db.all(`SELECT d.id FROM webhook_deliveries d JOIN webhooks w ON w.id=d.webhook_id WHERE d.status='pending' AND d.next_attempt_at<=? AND w.active=1 ORDER BY d.next_attempt_at LIMIT 50`, [Date.now()], (e, r) => {
+        if (e) return console.error('Webhook retry error:', e);
+        r.forEach(d => attemptDelivery(d.id));
+    });
+}, 30000);
+setInterval(() => db.run("DELETE FROM webhook_deliveries WHERE status<>'pending' AND created_at < datetime('now','-30 days')"), 3600000);
+
+const webhookRow = h => { const { secret, ...rest } = h; return { ...rest, secret_hint: '…' + secret.slice(-4) }; };
+
+app.get('/api/admin/webhooks', auth, reqRole('admin'), (req, res) => {
+    db.all(`SELECT w.*, p.name as project_name,
+        (SELECT status FROM webhook_deliveries WHERE webhook_id=w.id ORDER BY id DESC LIMIT 1) as last_status,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id=w.id AND status='failed') as failed_count
+        FROM webhooks w LEFT JOIN projects p ON p.id=w.project_id ORDER BY w.id`, (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ webhooks: (r || []).map(webhookRow), events: WEBHOOK_EVENTS });
+    });
+});
+
+// Body: { url, description, events: ['task.*', 'risk.created'] or '*', project_id (omit for all projects), active, secret }.
+// A secret is generated when none is given; it's only returned here and when rotated.
+app.post('/api/admin/webhooks', auth, reqRole('admin'), (req, res) => {
+    const { url, description, project_id, active } = req.body;
+    const events = parseEvents(req.body.events);
+    if (!validWebhookUrl(url)) return res.status(400).json({ error: 'URL must start with http:// or https://' });
+    if (!events) return res.status(400).json({ error: `Unknown event — use *, <type>.* or one of ${WEBHOOK_EVENTS.join(', ')}` });
+    const secret = req.body.secret || genToken();
+    db.get("SELECT id FROM projects WHERE id=?", [project_id || 0], (e, p) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (project_id && !p) return res.status(400).json({ error: 'Project not found' });
+        db.run("INSERT INTO webhooks (url,description,secret,events,project_id,active,created_by) VALUES (?,?,?,?,?,?,?)",
+            [url, description, secret, events, project_id || null, active === false ? 0 : 1, req.user.username], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'webhook', this.lastID, null, 'create', null, { id: this.lastID, url, description, events, project_id: project_id || null, active: active === false ? 0 : 1 });
+                res.json({ id: this.lastID, secret });
+            });
+    });
+});
+
+// rotate_secret: true generates a new secret and returns it; secret sets one explicitly
+app.put('/api/admin/webhooks/:id', auth, reqRole('admin'), (req, res) => {
+    const { url, description, project_id, active, rotate_secret } = req.body;
+    const events = parseEvents(req.body.events);
+    if (!validWebhookUrl(url)) return res.status(400).json({ error: 'URL must start with http:// or https://' });
+    if (!events) return res.status(400).json({ error: `Unknown event — use *, <type>.* or one of ${WEBHOOK_EVENTS.join(', ')}` });
+    db.get("SELECT * FROM webhooks WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        const secret = rotate_secret ? genToken() : req.body.secret || before.secret;
+        db.run("UPDATE webhooks SET url=?,description=?,events=?,project_id=?,active=?,secret=? WHERE id=?",
+            [url, description, events, project_id || null, active ? 1 : 0, secret, req.params.id], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'webhook', req.params.id, null, 'update', before, { url, description, events, project_id: project_id || null, active: active ? 1 : 0 });
+                res.json(secret !== before.secret ? { changes: this.changes, secret } : { changes: this.changes });
+            });
+    });
+});
+
+app.delete('/api/admin/webhooks/:id', auth, reqRole('admin'), (req, res) => {
+    db.get("SELECT * FROM webhooks WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        db.run("DELETE FROM webhooks WHERE id=?", [req.params.id], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (this.changes) audit(req, 'webhook', req.params.id, null, 'delete', before);
+            db.run("DELETE FROM webhook_deliveries WHERE webhook_id=?", [req.params.id]);
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+// Delivery log, newest first: ?status=pending|success|failed&limit=&offset=
+app.get('/api/admin/webhooks/:id/deliveries', auth, reqRole('admin'), (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 500)), offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const params = [req.params.id, ...(req.query.status ? [req.query.status] : [])];
+    db.all(`SELECT * FROM webhook_deliveries WHERE webhook_id=?${req.query.status ? ' AND status=?' : ''} ORDER BY id DESC LIMIT ${limit} OFFSET ${offset}`, params, (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json((r || []).map(d => ({ ...d, payload: JSON.parse(d.payload) })));
+    });
+});
+
+// Sends a 'ping' event straight away (even to a paused subscription) and returns the outcome
+app.post('/api/admin/webhooks/:id/test', auth, reqRole('admin'), (req, res) => {
+    db.get("SELECT id FROM webhooks WHERE id=?", [req.params.id], (e, h) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!h) return res.status(404).json({ error: 'Not found' });
+        const payload = { event: 'ping', timestamp: new Date().toISOString(), project: null, entity: { type: 'webhook', id: String(h.id) }, actor: { id: req.user.id, username: req.user.username }, data: { message: 'Test event from IT Integration Tracker' } };
+        queueDelivery(h.id, 'ping', payload, (e, result) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json(result);
+        });
+    });
+});
+
+// Try a delivery once more now, whatever its state
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', auth, reqRole('admin'), (req, res) => {
+    db.run("UPDATE webhook_deliveries SET status='pending',next_attempt_at=? WHERE id=?", [Date.now(), req.params.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!this.changes) return res.status(404).json({ error: 'Not found' });
+        attemptDelivery(parseInt(req.params.id), (e, result) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json(result);
+        });
+    });
+});
+
+// LIVE UPDATES - GET /api/projects/:pid/events is a Server-Sent Events stream of the project's task, risk,
+// contact and attachment changes. Each event carries the item as the list routes now return it, so open
+// pages can apply it without reloading. Changes reach the streams through audit(); attachments, which
+// aren't audited, are published by their routes.
+const liveStreams = new Map();   // project id → Set of { res, userId, sessionId, tokenId }
+let liveEventId = 0;
+
+function sendLive(pid, event, data) {
+    const streams = liveStreams.get(String(pid));
+    if (!streams) return;
+    const message = `id: ${++liveEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streams.forEach(s => s.res.write(message));
+}
+
+// Ends the project's streams (all of them, or one user's) when the project goes or the user loses access
+function closeLive(pid, userId) {
+    const streams = liveStreams.get(String(pid));
+    if (!streams) return;
+    streams.forEach(s => { if (!userId || s.userId === parseInt(userId)) { s.res.end(); streams.delete(s); } });
+    if (!streams.size) liveStreams.delete(String(pid));
+}
+
+// Ends every stream, in any project, that `match` picks out; used when the credential it was opened with is revoked
+function closeLiveStreams(match) {
+    liveStreams.forEach((streams, key) => {
+        streams.forEach(s => { if (match(s)) { s.res.end(); streams.delete(s); } });
+        if (!streams.size) liveStreams.delete(key);
+    });
+}
+
+// Sends the task's current row as a "task" update, or as `task` in another event that changed it
+function publishTask(req, pid, taskId, event = 'task', data = { action: 'update', id: taskId }) {
+    if (!liveStreams.has(String(pid))) return;
+    db.get(`${TASK_LIST_SQL} AND t.id=?`, [pid, taskId], (e, task) => {
+        if (e) return console.error('Live update error:', e);
+        if (event === 'task') return task && sendLive(pid, event, { ...data, by: req.user?.username, item: task });
+        sendLive(pid, event, { ...data, by: req.user?.username, task: task || null });
+    });
+}
+
+// Called from audit() for every recorded change
+function publishChange(req, entityType, entityId, projectId, action, before, after) {
+    if (entityType === 'project' && action === 'delete') return closeLive(projectId);
+    if (entityType === 'member' && action === 'delete') return closeLive(projectId, entityId);
+    if (!projectId || !liveStreams.has(String(projectId))) return;
+    // A checklist change can move the task's percent complete and always moves its counts
+    if (entityType === 'checklist') return publishTask(req, projectId, (after || before).task_id);
+    const table = { task: 'tasks', risk: 'risks', contact: 'contacts' }[entityType];
+    if (!table) return;
+    const by = req.user?.username;
+    if (action === 'delete') return sendLive(projectId, entityType, { action, id: entityId, by });
+    if (entityType === 'task') return publishTask(req, projectId, entityId);
+    db.get(`SELECT * FROM ${table} WHERE id=? AND project_id=?`, [entityId, projectId], (e, row) => {
+        if (e) return console.error('Live update error:', e);
+        if (row) sendLive(projectId, entityType, { action, id: row.id, by, item: entityType === 'risk' ? scoreRisk(row) : row });
+    });
+}
+
+// The stream opens with a "ready" event; clients that reconnect should reload, since nothing is replayed
+app.get('/api/projects/:pid/events', auth, projectAccess, (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const key = String(req.params.pid), stream = { res, userId: req.user.id, sessionId: req.sessionId || null, tokenId: req.user.token?.id || null };
+    if (!liveStreams.has(key)) liveStreams.set(key, new Set());
+    liveStreams.get(key).add(stream);
+    res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ project_id: parseInt(key) })}\n\n`);
+    req.on('close', () => {
+        const streams = liveStreams.get(key);
+        if (!streams) return;
+        streams.delete(stream);
+        if (!streams.size) liveStreams.delete(key);
+    });
+});
+// Comments keep proxies from closing idle streams. Auth is only checked when a stream opens, so each ping
+// first closes streams whose session or token has since expired or been signed out, or whose user was deactivated.
+setInterval(() => {
+    const open = [...liveStreams.values()].flatMap(streams => [...streams]);
+    if (!open.length) return;
+    const sessionIds = [...new Set(open.filter(s => s.sessionId).map(s => s.sessionId))], tokenIds = [...new Set(open.filter(s => s.tokenId).map(s => s.tokenId))];
+    const list = ids => ids.map(() => '?').join(',') || 'NULL';
+    db.all(`SELECT 's' || s.id as id FROM sessions s JOIN users u ON u.id=s.user_id WHERE s.id IN (${list(sessionIds)}) AND s.expires>=? AND u.active=1
+        UNION ALL SELECT 't' || t.id FROM api_tokens t JOIN users u ON u.id=t.user_id WHERE t.id IN (${list(tokenIds)}) AND (t.expires_at IS NULL OR t.expires_at>=?) AND u.active=1`,
+        [...sessionIds, Date.now(), ...tokenIds, Date.now()], (e, rows) => {
+        if (e) return console.error('Live update error:', e);
+        const valid = new Set(rows.map(r => r.id));
+        closeLiveStreams(s => !valid.has(s.tokenId ? 't' + s.tokenId : 's' + s.sessionId));
+        liveStreams.forEach(streams => streams.forEach(s => s.res.write(': ping\n\n')));
+    });
+}, 25000);
+
+// TRASH - deleted projects and tasks keep their data (deleted_at / deleted_by) and can be restored until
+// they are purged, by hand or TRASH_DAYS after deletion (0 keeps them until purged by hand)
+const TRASH_DAYS = parseInt(process.env.TRASH_DAYS ?? 30);
+
+const trashRow = r => ({ ...r, purge_after: TRASH_DAYS > 0 ? fromDay(toDay(r.deleted_at) + TRASH_DAYS) : null });
+
+// One purge at a time, since each runs in its own transaction
+async function purgeTrash() {
+    if (!(TRASH_DAYS > 0)) return;
+    const cutoff = `datetime('now','-${TRASH_DAYS} days')`;
+    const system = { user: { username: 'system' } };
+    try {
+        for (const p of await dbAll(`SELECT * FROM projects WHERE deleted_at < ${cutoff}`)) {
+            if (await purgeProject(p.id)) audit(system, 'project', p.id, p.id, 'purge', p);
+        }
+        for (const t of await dbAll(`SELECT * FROM tasks WHERE deleted_at < ${cutoff} AND project_id IN (SELECT id FROM projects WHERE deleted_at IS NULL)`)) {
+            if (await purgeTask(t.project_id, t.id)) audit(system, 'task', t.id, t.project_id, 'purge', t);
+        }
+    } catch (e) {
+        console.error('Trash purge error:', e);
+    }
+}
+setInterval(purgeTrash, 3600000);
+
+// Everything in the trash: deleted projects (admins only) and deleted tasks in projects the user leads
+app.get('/api/trash', auth, (req, res) => {
+    const admin = req.user.role === 'admin' && !req.user.token?.project_ids;
+    const leads = req.user.role === 'admin' ? '' : ` AND p.id IN (SELECT project_id FROM project_members WHERE user_id=${parseInt(req.user.id)} AND role IN ('teamlead','admin'))`;
+    const loadProjects = cb => admin ? db.all(`SELECT p.id,p.name,p.acquired_company,p.archived_at,p.deleted_at,p.deleted_by,(SELECT COUNT(*) FROM tasks WHERE project_id=p.id) as task_count
+        FROM projects p WHERE p.deleted_at IS NOT NULL ORDER BY p.deleted_at DESC`, cb) : cb(null, []);
+    loadProjects((e, projects) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        db.all(`SELECT t.id,t.project_id,p.name as project_name,t.workstream,t.name,t.owner,t.status,t.due_date,t.deleted_at,t.deleted_by FROM tasks t JOIN projects p ON p.id=t.project_id
+            WHERE t.deleted_at IS NOT NULL AND ${visibleProjects(req.user, 'p.id')}${leads} ORDER BY t.deleted_at DESC, p.name, t.id`, (e, tasks) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json({ purge_days: TRASH_DAYS, projects: projects.map(trashRow), tasks: tasks.map(trashRow) });
+        });
+    });
+});
+
+// PROJECTS
+// Archived projects are left out unless ?archived=1 (include them) or ?archived=only
+app.get('/api/projects', auth, (req, res) => {
+    const archived = { 1: '', true: '', only: ' AND p.archived_at IS NOT NULL' }[req.query.archived] ?? ' AND p.archived_at IS NULL';
+    db.all(`SELECT p.*, (SELECT COUNT(*) FROM tasks WHERE project_id=p.id AND deleted_at IS NULL) as task_count, (SELECT COUNT(*) FROM tasks WHERE project_id=p.id AND deleted_at IS NULL AND status='Complete') as completed_count, (SELECT AVG(percent_complete) FROM tasks WHERE project_id=p.id AND deleted_at IS NULL) as overall_progress,
+        ${req.user.role === 'admin' ? "'admin'" : '(SELECT role FROM project_members WHERE project_id=p.id AND user_id=?)'} as my_role
+        FROM projects p WHERE ${visibleProjects(req.user, 'p.id')}${archived} ORDER BY created_at DESC`, req.user.role === 'admin' ? [] : [req.user.id], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+app.get('/api/projects/:id', auth, projectAccess, (req, res) => {
+    db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        r ? res.set('ETag', etag(r.version)).json({ ...r, my_role: req.projectRole, permissions: req.role }) : res.status(404).json({ error: 'Not found' });
+    });
+});
+
+app.post('/api/projects', auth, reqRole('admin'), withTemplate, (req, res) => {
+    const { name, description, acquired_company, parent_company, start_date, target_completion } = req.body;
+    db.run(`INSERT INTO projects (name,description,acquired_company,parent_company,start_date,target_completion,template_id) VALUES (?,?,?,?,?,?,?)`,
+        [name, description, acquired_company, parent_company||'Applied Industrial Technologies', start_date, target_completion, req.templateId],
+        function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            seedProjectData(this.lastID, req.templateId);
+            audit(req, 'project', this.lastID, this.lastID, 'create', null, { name, description, acquired_company, parent_company: parent_company||'Applied Industrial Technologies', start_date, target_completion, template_id: req.templateId });
+            res.json({ id: this.lastID });
+        });
+});
+
+// Copies a project's tasks (with their checklists), contacts and risks into a new project as the starting point
+// for the next integration. Progress starts over: tasks are Not Started at 0%, checklist items unticked and risks
+// Open. Dates move by shift_days, or by the gap between the source's start date and the new start_date.
+// members: true also copies the member list. Attachments, comments, baselines and history are not copied.
+app.post('/api/projects/:id/clone', auth, allowArchived, projectAccess, reqRole('admin'), async (req, res) => {
+    const { name, description, acquired_company, parent_company, start_date, target_completion, members } = req.body;
+    try {
+        const source = await dbGet("SELECT * FROM projects WHERE id=?", [req.params.id]);
+        const blank = v => v === undefined || v === null || v === '';
+        const shift = Number(!blank(req.body.shift_days) ? req.body.shift_days : toDay(start_date) !== null && toDay(source.start_date) !== null ? toDay(start_date) - toDay(source.start_date) : 0);
+        if (!Number.isInteger(shift) || Math.abs(shift) > 3650) return res.status(400).json({ error: 'shift_days must be a whole number of days' });
+        const move = d => shift && toDay(d) !== null ? fromDay(toDay(d) + shift) : d;
+        const project = {
+            name: String(name || '').trim() || `${source.name} (copy)`,
+            description: description ?? source.description,
+            acquired_company: acquired_company ?? source.acquired_company,
+            parent_company: parent_company ?? source.parent_company,
+            start_date: start_date || move(source.start_date),
+            target_completion: target_completion || move(source.target_completion),
+            template_id: source.template_id
+        };
+        const tasks = await dbAll("SELECT * FROM tasks WHERE project_id=? AND deleted_at IS NULL ORDER BY id", [source.id]);
+        const items = await dbAll("SELECT * FROM task_checklist_items WHERE project_id=? AND task_id IN (SELECT id FROM tasks WHERE project_id=? AND deleted_at IS NULL) ORDER BY task_id, sort_order, id", [source.id, source.id]);
+        const contacts = await dbAll("SELECT * FROM contacts WHERE project_id=? ORDER BY id", [source.id]);
+        const risks = await dbAll("SELECT * FROM risks WHERE project_id=? ORDER BY id", [source.id]);
+
+        const pid = await transaction(async tx => {
+            const pid = (await tx.run(`INSERT INTO projects (name,description,acquired_company,parent_company,start_date,target_completion,template_id) VALUES (?,?,?,?,?,?,?)`,
+                [project.name, project.description, project.acquired_company, project.parent_company, project.start_date, project.target_completion, project.template_id])).lastID;
+            // Contacts get new IDs, so tasks owned by a contact follow it to its copy
+            const contactIds = new Map();
+            for (const c of contacts) {
+                contactIds.set(c.id, (await tx.run(`INSERT INTO contacts (project_id,name,role,company,workstream,email,phone) VALUES (?,?,?,?,?,?,?)`, [pid, c.name, c.role, c.company, c.workstream, c.email, c.phone])).lastID);
+            }
+            for (const t of tasks) {
+                await tx.run(`INSERT INTO tasks (id,project_id,workstream,name,description,owner,owner_id,owner_contact_id,priority,status,start_date,due_date,percent_complete,dependencies,notes,auto_progress) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+                    [t.id, pid, t.workstream, t.name, t.description, t.owner, t.owner_id, contactIds.get(t.owner_contact_id) ?? null, t.priority, 'Not Started', move(t.start_date), move(t.due_date), 0, t.dependencies, t.notes, t.auto_progress || 0]);
+            }
+            for (const i of items) await tx.run(CHECKLIST_INSERT, [pid, i.task_id, i.title, i.recurrence, move(i.due_date), i.sort_order]);
+            for (const r of risks) {
+                await tx.run(`INSERT INTO risks (id,project_id,description,workstream,likelihood,impact,mitigation,owner,status,target_date,mitigation_tasks) VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+                    [r.id, pid, r.description, r.workstream, r.likelihood, r.impact, r.mitigation, r.owner, 'Open', move(r.target_date), r.mitigation_tasks]);
+            }
+            if (members) await tx.run("INSERT INTO project_members (project_id,user_id,role,added_by) SELECT ?,user_id,role,? FROM project_members WHERE project_id=?", [pid, req.user.username, source.id]);
+            return pid;
+        });
+        audit(req, 'project', pid, pid, 'create', null, { ...project, cloned_from: source.id, shift_days: shift });
+        res.json({ id: pid, shift_days: shift, tasks: tasks.length, checklist_items: items.length, contacts: contacts.length, risks: risks.length });
+    } catch (err) {
+        console.error('Project clone error:', err);
+        res.status(500).json({ error: 'Clone failed — nothing was saved' });
+    }
+});
+
+function updateProject(req, res) {
+    const { name, description, acquired_company, parent_company, status, start_date, target_completion } = req.body;
+    db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        if (staleVersion(req, res, 'projects', before)) return;
+        db.run(`UPDATE projects SET name=?,description=?,acquired_company=?,parent_company=?,status=?,start_date=?,target_completion=?,version=version+1,updated_at=CURRENT_TIMESTAMP WHERE id=? AND version=?`,
+            [name, description, acquired_company, parent_company, status, start_date, target_completion, req.params.id, before.version], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                if (!this.changes) return raceConflict(res, 'projects', req.params.id);
+                audit(req, 'project', req.params.id, req.params.id, 'update', before, { name, description, acquired_company, parent_company, status, start_date, target_completion });
+                const version = before.version + 1;
+                res.set('ETag', etag(version)).json({ changes: this.changes, version });
+            });
+    });
+}
+const PROJECT_FIELDS = ['name', 'description', 'acquired_company', 'parent_company', 'status', 'start_date', 'target_completion'];
+app.put('/api/projects/:id', auth, projectAccess, reqRole('admin'), updateProject);
+app.patch('/api/projects/:id', auth, projectAccess, reqRole('admin'), patchRow('projects', PROJECT_FIELDS), updateProject);
+
+// Archived projects are hidden from the default project list and read-only until unarchived
+function setArchived(archive) {
+    return (req, res) => {
+        db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, before) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (!before.archived_at === !archive) return res.status(400).json({ error: archive ? 'Project is already archived' : 'Project is not archived' });
+            const after = archive ? { archived_at: sqlNow(), archived_by: req.user.username } : { archived_at: null, archived_by: null };
+            db.run("UPDATE projects SET archived_at=?,archived_by=?,version=version+1,updated_at=CURRENT_TIMESTAMP WHERE id=?", [after.archived_at, after.archived_by, before.id], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'project', before.id, before.id, 'update', before, after);
+                res.set('ETag', etag(before.version + 1)).json({ ...after, version: before.version + 1 });
+            });
+        });
+    };
+}
+app.post('/api/projects/:id/archive', auth, allowArchived, projectAccess, reqRole('admin'), setArchived(true));
+app.post('/api/projects/:id/unarchive', auth, allowArchived, projectAccess, reqRole('admin'), setArchived(false));
+
+// Moves the project to the trash: it disappears everywhere but keeps all its data until it is purged
+app.delete('/api/projects/:id', auth, allowArchived, projectAccess, reqRole('admin'), (req, res) => {
+    db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        db.run("UPDATE projects SET deleted_at=CURRENT_TIMESTAMP,deleted_by=? WHERE id=? AND deleted_at IS NULL", [req.user.username, before.id], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (this.changes) audit(req, 'project', before.id, before.id, 'delete', before);
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+app.post('/api/projects/:id/restore', auth, allowDeleted, allowArchived, projectAccess, reqRole('admin'), (req, res) => {
+    db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before.deleted_at) return res.status(400).json({ error: 'Project is not in the trash' });
+        db.run("UPDATE projects SET deleted_at=NULL,deleted_by=NULL WHERE id=?", [before.id], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            audit(req, 'project', before.id, before.id, 'restore', null, before);
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+// Attachment files are only removed once the rows pointing at them are gone for good
+function removeUploads(files) {
+    files.forEach(f => {
+        const p = path.join(uploadDir, f.filename);
+        try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch(err) { console.error('File cleanup error:', err); }
+    });
+}
+
+// Removes a project and everything in it for good, attachment files and project webhooks included; resolves with the change count
+async function purgeProject(pid) {
+    const files = await dbAll("SELECT filename FROM task_attachments WHERE project_id=?", [pid]);
+    const { changes, revoked } = await transaction(async tx => {
+        // API tokens limited to this project lose it; a token left with no projects is deleted, since no list means all of them
+        const revoked = [];
+        for (const t of await tx.all("SELECT id,project_ids FROM api_tokens WHERE project_ids IS NOT NULL")) {
+            const ids = t.project_ids.split(','), rest = ids.filter(id => Number(id) !== Number(pid));
+            if (rest.length === ids.length) continue;
+            if (rest.length) await tx.run("UPDATE api_tokens SET project_ids=? WHERE id=?", [rest.join(','), t.id]);
+            else { await tx.run("DELETE FROM api_tokens WHERE id=?", [t.id]); revoked.push(t.id); }
+        }
+        for (const [sql, params] of [
+            ["DELETE FROM task_attachments WHERE project_id=?", [pid]],
+            ["DELETE FROM task_checklist_items WHERE project_id=?", [pid]],
+            ["DELETE FROM tasks WHERE project_id=?", [pid]],
+            ["DELETE FROM contacts WHERE project_id=?", [pid]],
+            ["DELETE FROM risks WHERE project_id=?", [pid]],
+            ...commentDeletes('project_id=?', [pid]),
+            ["DELETE FROM baseline_tasks WHERE baseline_id IN (SELECT id FROM baselines WHERE project_id=?)", [pid]],
+            ["DELETE FROM baselines WHERE project_id=?", [pid]],
+            ["DELETE FROM project_snapshots WHERE project_id=?", [pid]],
+            ["DELETE FROM project_members WHERE project_id=?", [pid]],
+            ["DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE project_id=?)", [pid]],
+            ["DELETE FROM webhooks WHERE project_id=?", [pid]]
+        ]) await tx.run(sql, params);
+        return { changes: (await tx.run("DELETE FROM projects WHERE id=?", [pid])).changes, revoked };
+    });
+    closeLiveStreams(s => revoked.includes(s.tokenId));
+    removeUploads(files);
+    return changes;
+}
+
+// Only projects already in the trash can be purged
+app.delete('/api/projects/:id/purge', auth, allowDeleted, allowArchived, projectAccess, reqRole('admin'), (req, res) => {
+    db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before.deleted_at) return res.status(400).json({ error: 'Move the project to the trash first' });
+        purgeProject(before.id).then(changes => {
+            if (changes) audit(req, 'project', before.id, before.id, 'purge', before);
+            res.json({ changes });
+        }).catch(e => { console.error('Purge error:', e); res.status(500).json({ error: 'Database error' }); });
+    });
+});
+
+// SEARCH - FTS5 indexes over tasks, risks, contacts and attachment names (migration 009), kept current
+// by triggers. Rebuilt on startup because a VACUUM can renumber the rowids of tasks and risks.
+const SEARCH_INDEXES = ['tasks_fts', 'risks_fts', 'contacts_fts', 'attachments_fts'];
+const SEARCH_TYPES = ['task', 'risk', 'contact', 'attachment'];
+
+function rebuildSearchIndex() {
+    SEARCH_INDEXES.forEach(fts => db.run(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`, e => { if (e) console.error('Search index rebuild error:', e.message); }));
+}
+
+// Free text → FTS5 query: "quoted phrases" stay phrases, every other word matches as a prefix, all must match
+function ftsQuery(q) {
+    const terms = [];
+    String(q).replace(/"([^"]*)"|(\S+)/g, (m, phrase, word) => {
+        const t = (phrase ?? word).replace(/"/g, '').trim();
+        if (t) terms.push(phrase !== undefined ? `"${t}"` : `"${t}"*`);
+    });
+    return terms.join(' ');
+}
+
+// One SELECT per index, each naming its columns since any of them can come first; bm25 weights favour the title column
+const SEARCH_SOURCES = {
+    task: `SELECT 'task' as type, t.id as id, t.project_id, t.id as task_id, t.name as title, t.workstream, t.status,
+        snippet(tasks_fts, -1, '<mark>', '</mark>', '…', 16) as snippet, bm25(tasks_fts, 10, 4, 4) as rank
+        FROM tasks_fts JOIN tasks t ON t.rowid=tasks_fts.rowid WHERE tasks_fts MATCH $q AND t.deleted_at IS NULL`,
+    risk: `SELECT 'risk' as type, r.id as id, r.project_id, NULL as task_id, r.description as title, r.workstream, r.status as status,
+        snippet(risks_fts, -1, '<mark>', '</mark>', '…', 16) as snippet, bm25(risks_fts, 6, 3) as rank
+        FROM risks_fts JOIN risks r ON r.rowid=risks_fts.rowid WHERE risks_fts MATCH $q`,
+    contact: `SELECT 'contact' as type, CAST(c.id AS TEXT) as id, c.project_id, NULL as task_id, c.name as title, c.workstream, NULL as status,
+        snippet(contacts_fts, -1, '<mark>', '</mark>', '…', 16) as snippet, bm25(contacts_fts, 10, 8, 3, 3) as rank
+        FROM contacts_fts JOIN contacts c ON c.rowid=contacts_fts.rowid WHERE contacts_fts MATCH $q`,
+    attachment: `SELECT 'attachment' as type, CAST(a.id AS TEXT) as id, a.project_id, a.task_id, a.original_name as title, t.workstream, t.status,
+        snippet(attachments_fts, -1, '<mark>', '</mark>', '…', 16) as snippet, bm25(attachments_fts) as rank
+        FROM attachments_fts JOIN task_attachments a ON a.rowid=attachments_fts.rowid LEFT JOIN tasks t ON t.id=a.task_id AND t.project_id=a.project_id WHERE attachments_fts MATCH $q AND t.deleted_at IS NULL`
+};
+
+// ?q=&project_id=&workstream=&status=&type=task,risk&limit=&offset=. Results are ranked best first across
+// all types; snippets wrap matches in <mark></mark>. Status matches tasks, their attachments and risks.
+app.get('/api/search', auth, (req, res) => {
+    const match = ftsQuery(req.query.q || '');
+    if (!match) return res.status(400).json({ error: 'Search text required' });
+    const types = req.query.type ? String(req.query.type).split(',').filter(t => SEARCH_TYPES.includes(t)) : SEARCH_TYPES;
+    if (!types.length) return res.status(400).json({ error: `type must be one of ${SEARCH_TYPES.join(', ')}` });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 20, 100)), offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const where = [visibleProjects(req.user, 'r.project_id')], params = { $q: match };
+    if (req.query.project_id) { where.push('r.project_id=$project'); params.$project = parseInt(req.query.project_id); }
+    if (req.query.workstream) { where.push('r.workstream=$workstream'); params.$workstream = req.query.workstream; }
+    if (req.query.status) { where.push('r.status=$status'); params.$status = req.query.status; }
+    db.all(`SELECT r.*, p.name as project_name, COUNT(*) OVER () as total FROM (${types.map(t => SEARCH_SOURCES[t]).join(' UNION ALL ')}) r
+        JOIN projects p ON p.id=r.project_id WHERE ${where.join(' AND ')} ORDER BY r.rank LIMIT ${limit} OFFSET ${offset}`, params, (e, rows) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ query: req.query.q, total: rows[0]?.total || 0, results: rows.map(({ total, ...r }) => r) });
+    });
+});
+
+// MY TASKS - tasks assigned to current user across all projects
+app.get('/api/my-tasks', auth, (req, res) => {
+    db.all(`SELECT t.*, p.name as project_name, p.id as project_id,
+        (SELECT COUNT(*) FROM task_attachments WHERE task_id=t.id AND project_id=t.project_id) as attachment_count
+        FROM tasks t 
+        JOIN projects p ON t.project_id = p.id 
+        WHERE t.owner_id = ? AND t.deleted_at IS NULL AND p.archived_at IS NULL AND ${visibleProjects(req.user, 'p.id')}
+        ORDER BY 
+            CASE WHEN t.status='Blocked' THEN 0 WHEN t.status='In Progress' THEN 1 WHEN t.status='Not Started' THEN 2 ELSE 3 END,
+            CASE WHEN t.due_date IS NULL OR t.due_date='' THEN '9999-99-99' ELSE t.due_date END,
+            t.priority`, 
+        [req.user.id], (e, r) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json(r || []);
+        });
+});
+
+// MENTIONS - comments that @mention the current user, newest first: ?unread=1&limit=&offset=
+app.get('/api/my-mentions', auth, (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200)), offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const where = `m.user_id=? AND ${visibleProjects(req.user, 'c.project_id')}
+        AND NOT EXISTS (SELECT 1 FROM tasks t WHERE c.entity_type='task' AND t.id=c.entity_id AND t.project_id=c.project_id AND t.deleted_at IS NOT NULL)`;
+    db.get(`SELECT COUNT(*) as n FROM comment_mentions m JOIN comments c ON c.id=m.comment_id WHERE ${where} AND m.read_at IS NULL`, [req.user.id], (e, unread) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        db.all(`SELECT ${COMMENT_COLS}, p.name as project_name, m.read_at,
+            CASE c.entity_type WHEN 'task' THEN (SELECT name FROM tasks WHERE id=c.entity_id AND project_id=c.project_id)
+                ELSE (SELECT description FROM risks WHERE id=c.entity_id AND project_id=c.project_id) END as entity_title
+            FROM comment_mentions m JOIN comments c ON c.id=m.comment_id JOIN projects p ON p.id=c.project_id LEFT JOIN users u ON u.id=c.user_id
+            WHERE ${where}${req.query.unread ? ' AND m.read_at IS NULL' : ''}
+            ORDER BY c.created_at DESC, c.id DESC LIMIT ${limit} OFFSET ${offset}`, [req.user.id], (e, rows) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json({ unread: unread.n, mentions: rows });
+        });
+    });
+});
+
+// Body: { ids: [comment ids] } marks those mentions read; without ids, all of them
+app.post('/api/my-mentions/read', auth, (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id)).filter(id => id > 0) : null;
+    db.run(`UPDATE comment_mentions SET read_at=CURRENT_TIMESTAMP WHERE user_id=? AND read_at IS NULL${ids ? ` AND comment_id IN (${ids.join(',') || 'NULL'})` : ''}`, [req.user.id], function(e) {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json({ changes: this.changes });
+    });
+});
+
+// EXPORT / IMPORT - workbook layout shared by both directions: sheet → [[header, column], ...]
+const SHEETS = {
+    Tasks: [['ID', 'id'], ['Workstream', 'workstream'], ['Task', 'name'], ['Description', 'description'], ['Owner', 'owner'], ['Priority', 'priority'], ['Status', 'status'], ['Start', 'start_date'], ['Due', 'due_date'], ['%', 'percent_complete'], ['Dependencies', 'dependencies'], ['Notes', 'notes']],
+    Contacts: [['ID', 'id'], ['Name', 'name'], ['Role', 'role'], ['Company', 'company'], ['Workstream', 'workstream'], ['Email', 'email'], ['Phone', 'phone']],
+    Risks: [['ID', 'id'], ['Description', 'description'], ['Workstream', 'workstream'], ['Likelihood', 'likelihood'], ['Impact', 'impact'], ['Mitigation', 'mitigation'], ['Owner', 'owner'], ['Status', 'status'], ['Target Date', 'target_date'], ['Mitigation Tasks', 'mitigation_tasks']]
+};
+
+function loadProjectExport(pid, cb) {
+    db.get("SELECT * FROM projects WHERE id=?", [pid], (e, project) => {
+        if (e || !project) return cb(e, null);
+        db.all("SELECT * FROM tasks WHERE project_id=? AND deleted_at IS NULL ORDER BY workstream,id", [pid], (e, tasks) => {
+            if (e) return cb(e);
+            db.all("SELECT * FROM contacts WHERE project_id=?", [pid], (e, contacts) => {
+                if (e) return cb(e);
+                db.all("SELECT * FROM risks WHERE project_id=?", [pid], (e, risks) => {
+                    if (e) return cb(e);
+                    const ws = [...new Set((tasks||[]).map(t => t.workstream))];
+                    const wsStats = ws.map(w => {
+                        const wt = tasks.filter(t => t.workstream === w);
+                        return { workstream: w, total: wt.length, notStarted: wt.filter(t => t.status==='Not Started').length, inProgress: wt.filter(t => t.status==='In Progress').length, complete: wt.filter(t => t.status==='Complete').length, blocked: wt.filter(t => t.status==='Blocked').length, progress: wt.length ? Math.round(wt.reduce((s,t) => s+(t.percent_complete||0),0)/wt.length) : 0 };
+                    });
+                    cb(null, { project, tasks: tasks||[], contacts: contacts||[], risks: risks||[], workstreamStats: wsStats });
+                });
+            });
+        });
+    });
+}
+
+function buildWorkbook(data) {
+    const wb = XLSX.utils.book_new();
+    const p = data.project;
+    const sheet = (name, rows) => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+    sheet('Overview', [['Project Export'], [''], ['Project:', p.name], ['Acquired:', p.acquired_company], ['Parent:', p.parent_company], ['Status:', p.status],
+        ['Start:', p.start_date], ['Target Completion:', p.target_completion],
+        ...(data.variance ? [['Baseline:', data.variance.baseline.name], ['Slip Since Baseline (days):', data.variance.summary.slip_days ?? '']] : []),
+        [''], ['Exported:', data.exportedAt], ['Exported By:', data.exportedBy]]);
+    Object.entries(SHEETS).forEach(([name, cols]) => sheet(name, [cols.map(c => c[0]), ...data[name.toLowerCase()].map(r => cols.map(c => r[c[1]] ?? ''))]));
+    sheet('Workstreams', [['Workstream', 'Total', 'Not Started', 'In Progress', 'Complete', 'Blocked', 'Progress'],
+        ...data.workstreamStats.map(w => [w.workstream, w.total, w.notStarted, w.inProgress, w.complete, w.blocked, w.progress + '%'])]);
+    const v = data.variance;
+    if (v) {
+        const pct = n => n === null ? '' : n + '%';
+        const summary = w => [w.tasks, w.added, w.removed, w.late, w.early, w.baseline_finish ?? '', w.current_finish ?? '', w.slip_days ?? '', pct(w.baseline_progress), pct(w.current_progress)];
+        sheet('Variance', [['Baseline:', v.baseline.name, 'Taken:', v.baseline.created_at], [''],
+            ['ID', 'Workstream', 'Task', 'Status', 'Change', 'Baseline Start', 'Start', 'Start Variance (days)', 'Baseline Due', 'Due', 'Finish Variance (days)', 'Baseline %', '%'],
+            ...v.tasks.map(t => [t.id, t.workstream, t.name, t.status ?? '', t.change ?? '', t.baseline_start ?? '', t.start_date ?? '', t.start_variance ?? '', t.baseline_due ?? '', t.due_date ?? '', t.finish_variance ?? '', pct(t.baseline_percent), pct(t.percent_complete)])]);
+        sheet('Workstream Variance', [['Workstream', 'Tasks', 'Added', 'Removed', 'Late', 'Early', 'Baseline Finish', 'Current Finish', 'Slip (days)', 'Baseline Progress', 'Progress'],
+            ...v.workstreams.map(w => [w.workstream, ...summary(w)]), ['Project', ...summary(v.summary)]]);
+    }
+    return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// ?format=xlsx returns the workbook itself; the default JSON shape is kept for existing scripts.
+// variance is measured against ?baseline= (an ID), or the latest baseline, and is null if there's none.
+app.get('/api/projects/:id/export', auth, projectAccess, (req, res) => {
+    loadProjectExport(req.params.id, (e, data) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!data) return res.status(404).json({ error: 'Not found' });
+        loadBaseline(req.params.id, req.query.baseline || 'latest', (e, baseline) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (!baseline && req.query.baseline) return res.status(404).json({ error: 'Baseline not found' });
+            const send = variance => {
+                Object.assign(data, { variance, exportedAt: new Date().toISOString(), exportedBy: req.user.username });
+                if (req.query.format !== 'xlsx') return res.json(data);
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                res.setHeader('Content-Disposition', `attachment; filename="${data.project.name.replace(/[^a-z0-9]/gi, '_')}_Export.xlsx"`);
+                res.send(buildWorkbook(data));
+            };
+            if (!baseline) return send(null);
+            loadVariance(req.params.id, baseline, (e, variance) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                send(variance);
+            });
+        });
+    });
+});
+
+// Excel hands back numbers and dates for cells that were typed as such; store them the way the UI does
+function cellValue(v, col) {
+    if (v instanceof Date) return v.toISOString().split('T')[0];
+    if (typeof v === 'number' && /_date$/.test(col)) { const d = XLSX.SSF.parse_date_code(v); return `${d.y}-${String(d.m).padStart(2, '0')}-${String(d.d).padStart(2, '0')}`; }
+    if (v === undefined || v === null || String(v).trim() === '') return col === 'percent_complete' ? 0 : null;
+    if (col === 'percent_complete') return Math.round(parseFloat(String(v).replace('%', '')));
+    return String(v).trim();
+}
+
+// Read the Tasks/Contacts/Risks sheets into { sheet: [{ row, values }] }. Only columns present in the
+// sheet's header row are returned, so a trimmed-down workbook never blanks out the columns it left off.
+function parseWorkbook(buffer) {
+    const wb = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const out = {}, errors = [];
+    Object.entries(SHEETS).forEach(([name, cols]) => {
+        const ws = wb.Sheets[name];
+        if (!ws) return;
+        const [header = [], ...rows] = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+        const colAt = header.map(h => (cols.find(c => c[0].toLowerCase() === String(h ?? '').trim().toLowerCase()) || [])[1]);
+        out[name] = [];
+        rows.forEach((r, i) => {
+            if (!r.some(v => v !== null && String(v).trim() !== '')) return;
+            const values = {};
+            colAt.forEach((col, j) => { if (col) values[col] = cellValue(r[j], col); });
+            if (values.id) values.id = String(values.id).toUpperCase();
+            if (name === 'Tasks') ['priority', 'status'].forEach(c => { if (c in values && !values[c]) values[c] = c === 'priority' ? 'Medium' : 'Not Started'; });
+            if (name === 'Risks') {
+                ['likelihood', 'impact'].filter(c => c in values).forEach(c => {
+                    const level = riskLevel(values[c]);
+                    if (level === undefined) errors.push({ sheet: name, row: i + 2, error: `${c[0].toUpperCase() + c.slice(1)} must be one of ${RISK_LEVELS.join(', ')}` });
+                    else values[c] = level;
+                });
+                if ('status' in values && !values.status) values.status = 'Open';
+                if (values.status && !RISK_STATUSES.includes(values.status)) errors.push({ sheet: name, row: i + 2, error: `Status must be one of ${RISK_STATUSES.join(', ')}` });
+                if ('mitigation_tasks' in values) values.mitigation_tasks = parseDeps(values.mitigation_tasks).join(', ') || null;
+            }
+            if ('percent_complete' in values && !(values.percent_complete >= 0 && values.percent_complete <= 100)) errors.push({ sheet: name, row: i + 2, error: '% must be a number from 0 to 100' });
+            out[name].push({ row: i + 2, values });
+        });
+    });
+    return { sheets: out, errors };
+}
+
+// Match parsed rows against the project by ID: unknown or missing IDs are creates, known IDs are updates
+// of only the fields that differ. Tasks and risks need an ID; contacts without one are always added.
+function diffImport(sheets, existing, owners, errors, warnings) {
+    const plan = { tasks: [], contacts: [], risks: [] };
+    Object.entries(sheets).forEach(([name, rows]) => {
+        const key = name.toLowerCase(), seen = new Set();
+        const byId = new Map(existing[key].map(r => [String(r.id).toUpperCase(), r]));
+        rows.forEach(({ row, values }) => {
+            if (!values.id && name !== 'Contacts') return errors.push({ sheet: name, row, error: 'ID is required' });
+            if (name === 'Tasks' && !values.name && !byId.has(values.id)) return errors.push({ sheet: name, row, error: 'Task name is required' });
+            if (values.id && seen.has(values.id)) return errors.push({ sheet: name, row, error: `Duplicate ID ${values.id}` });
+            if (values.id) seen.add(values.id);
+            const before = values.id && byId.get(values.id);
+            if (name === 'Contacts' && values.id && !before) return errors.push({ sheet: name, row, error: `Contact ${values.id} is not in this project — clear the ID to add it` });
+            if (name === 'Tasks' && !before && existing.trashed.has(values.id)) return errors.push({ sheet: name, row, error: `Task ${values.id} is in the trash — restore or purge it first` });
+            if (!before) return plan[key].push({ action: 'create', id: values.id || null, row, values });
+            const { id, ...fields } = values;
+            const changes = diffRows(before, fields);
+            if (Object.keys(changes).length) plan[key].push({ action: 'update', id: before.id, row, values: fields, before, changes });
+        });
+    });
+    // New or changed owner names are linked to a user or contact the same way the task routes do it
+    plan.tasks.filter(t => 'owner' in (t.changes || t.values)).forEach(t => {
+        const { error, ...owner } = resolveOwner(owners, { owner: t.values.owner }, t.before);
+        if (error) errors.push({ sheet: 'Tasks', row: t.row, error });
+        else {
+            Object.assign(t.values, owner);
+            if (t.changes) t.changes.owner.to = owner.owner;
+        }
+    });
+    // Like the task routes, only new or changed dependency lists are checked, against the project as it would look afterwards
+    const after = new Map(existing.tasks.map(t => [t.id, t]));
+    plan.tasks.forEach(t => after.set(t.id, { ...after.get(t.id), ...t.values }));
+    plan.tasks.filter(t => 'dependencies' in (t.changes || t.values)).forEach(t => {
+        const v = validateDependencies([...after.values()], after.get(t.id));
+        if (v.unknown.length) errors.push({ sheet: 'Tasks', row: t.row, error: `Unknown dependencies: ${v.unknown.join(', ')}` });
+        if (v.cycle) errors.push({ sheet: 'Tasks', row: t.row, error: `Dependency cycle: ${v.cycle.join(' → ')}` });
+    });
+    // Mitigation tasks must exist once the import is applied; closing a risk is allowed but stamped
+    const taskKeys = new Set([...after.keys()].map(depKey));
+    plan.risks.filter(r => 'mitigation_tasks' in (r.changes || r.values)).forEach(r => {
+        const unknown = parseDeps(r.values.mitigation_tasks).filter(id => !taskKeys.has(id));
+        if (unknown.length) errors.push({ sheet: 'Risks', row: r.row, error: `Unknown mitigation tasks: ${unknown.join(', ')}` });
+    });
+    plan.risks.filter(r => 'status' in r.values && r.values.status !== r.before?.status).forEach(r => { r.values.closed_at = r.values.status === 'Closed' ? sqlNow() : null; });
+    // Status changes aren't held back by unfinished predecessors as they are in the UI, only flagged
+    plan.tasks.filter(t => ['In Progress', 'Complete'].includes(t.values.status) && t.values.status !== t.before?.status).forEach(t => {
+        const waiting = validateDependencies([...after.values()], after.get(t.id)).predecessors.filter(p => p.status !== 'Complete');
+        if (waiting.length) warnings.push({ sheet: 'Tasks', row: t.row, warning: `${t.id} is ${t.values.status} but waiting on ${waiting.map(p => p.id).join(', ')}` });
+    });
+    return plan;
+}
+
+async function applyImport(req, plan) {
+    const pid = req.params.pid;
+    const TABLES = { tasks: 'task', contacts: 'contact', risks: 'risk' };
+    await transaction(async t => {
+        for (const key of Object.keys(TABLES)) {
+            for (const op of plan[key]) {
+                const cols = Object.keys(op.values);
+                if (op.action === 'update') {
+                    const stamp = key === 'tasks' ? ',updated_by=?' : '';
+                    await t.run(`UPDATE ${key} SET ${cols.map(c => c + '=?').join(',')},version=version+1,updated_at=CURRENT_TIMESTAMP${stamp} WHERE id=? AND project_id=?`,
+                        [...cols.map(c => op.values[c]), ...(stamp ? [req.user.username] : []), op.id, pid]);
+                    continue;
+                }
+                const row = { ...op.values };
+                if (key === 'tasks') Object.assign(row, { priority: row.priority || 'Medium', status: row.status || 'Not Started', percent_complete: row.percent_complete || 0 });
+                if (key === 'contacts') delete row.id;
+                const r = await t.run(`INSERT INTO ${key} (project_id,${Object.keys(row).join(',')}) VALUES (?${',?'.repeat(Object.keys(row).length)})`, [pid, ...Object.values(row)]);
+                op.id = key === 'contacts' ? r.lastID : row.id;
+                op.values = { id: op.id, ...row };
+            }
+        }
+    });
+    Object.entries(TABLES).forEach(([key, entity]) => plan[key].forEach(op =>
+        audit(req, entity, op.id, pid, op.action, op.before || null, op.action === 'update' ? { ...op.before, ...op.values } : op.values)));
+    plan.tasks.forEach(op => notifyTaskChange(req, pid, op.before || null, op.action === 'update' ? { ...op.before, ...op.values } : op.values));
+}
+
+// Upload a workbook in the export layout. ?dry_run=1 returns the changes without saving anything;
+// otherwise the whole import is applied in one transaction, or nothing is if any row has an error.
+app.post('/api/projects/:pid/import', auth, projectAccess, reqRole('teamlead'), importUpload.single('file'), (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No workbook uploaded' });
+    let parsed;
+    try { parsed = parseWorkbook(req.file.buffer); } catch (err) { return res.status(400).json({ error: 'Could not read workbook: ' + err.message }); }
+    if (!Object.keys(parsed.sheets).length) return res.status(400).json({ error: 'Workbook has no Tasks, Contacts or Risks sheet' });
+    loadProjectExport(req.params.pid, (e, data) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!data) return res.status(404).json({ error: 'Not found' });
+        loadOwners(req.params.pid, (e, owners) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            db.all("SELECT id FROM tasks WHERE project_id=? AND deleted_at IS NOT NULL", [req.params.pid], (e, trashed) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                data.trashed = new Set(trashed.map(t => t.id.toUpperCase()));
+                const errors = parsed.errors, warnings = [];
+                const plan = diffImport(parsed.sheets, data, owners, errors, warnings);
+                const dryRun = isDryRun(req);
+                const summary = key => ({ create: plan[key].filter(o => o.action === 'create').length, update: plan[key].filter(o => o.action === 'update').length, unchanged: (parsed.sheets[key[0].toUpperCase() + key.slice(1)] || []).length - plan[key].length });
+                const preview = () => ({
+                    dryRun, errors: errors.sort((a, b) => a.sheet.localeCompare(b.sheet) || a.row - b.row), warnings,
+                    summary: { tasks: summary('tasks'), contacts: summary('contacts'), risks: summary('risks') },
+                    changes: Object.fromEntries(Object.keys(plan).map(k => [k, plan[k].map(o => ({ action: o.action, id: o.id, row: o.row, ...(o.action === 'update' ? { changes: o.changes } : { values: o.values }) }))]))
+                });
+                if (dryRun) return res.json(preview());
+                if (errors.length) return res.status(400).json({ error: `Import has ${errors.length} error${errors.length === 1 ? '' : 's'} — nothing was saved`, ...preview() });
+                applyImport(req, plan).then(() => res.json({ ok: true, ...preview() }))
+                    .catch(err => { console.error('Import error:', err); res.status(500).json({ error: 'Import failed — nothing was saved' }); });
+            });
+        });
+    });
+});
+
+// TASKS
+// Tasks as the task table shows them, with their attachment and checklist counts
+const TASK_LIST_SQL = `SELECT t.*, (SELECT COUNT(*) FROM task_attachments WHERE task_id=t.id AND project_id=t.project_id) as attachment_count,
+        (SELECT COUNT(*) FROM task_checklist_items WHERE task_id=t.id AND project_id=t.project_id) as checklist_total,
+        (SELECT COUNT(*) FROM task_checklist_items WHERE task_id=t.id AND project_id=t.project_id AND done=1) as checklist_done FROM tasks t WHERE t.project_id=? AND t.deleted_at IS NULL`;
+
+app.get('/api/projects/:pid/tasks', auth, projectAccess, (req, res) => {
+    db.all(`${TASK_LIST_SQL} ORDER BY t.id`, [req.params.pid], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+app.get('/api/projects/:pid/tasks/:id', auth, projectAccess, (req, res) => {
+    db.get("SELECT * FROM tasks WHERE id=? AND project_id=? AND deleted_at IS NULL", [req.params.id, req.params.pid], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        r ? res.set('ETag', etag(r.version)).json(r) : res.status(404).json({ error: 'Not found' });
+    });
+});
+
+// auto_progress keeps its current value when it's left out; while it's on, percent_complete comes from the
+// checklist (if the task has one-off items) and the response says what it was set to
+function updateTask(req, res) {
+    const { workstream, name, description, priority, status, start_date, due_date, dependencies, notes } = req.body;
+    db.get("SELECT * FROM tasks WHERE id=? AND project_id=? AND deleted_at IS NULL", [req.params.id, req.params.pid], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        if (staleVersion(req, res, 'tasks', before)) return;
+        const auto_progress = req.body.auto_progress === undefined ? before.auto_progress || 0 : req.body.auto_progress ? 1 : 0;
+        loadOwners(req.params.pid, (e, owners) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            const { owner_id, owner_contact_id, owner, error } = resolveOwner(owners, req.body, before);
+            if (error) return res.status(400).json({ error });
+            checkTaskDependencies(req, res, { id: req.params.id, workstream, status, dependencies }, before, (warnings) => {
+                checklistProgress(req.params.pid, req.params.id, (e, progress) => {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    const percent_complete = auto_progress && progress !== null ? progress : req.body.percent_complete;
+                    db.run(`UPDATE tasks SET workstream=?,name=?,description=?,owner=?,owner_id=?,owner_contact_id=?,priority=?,status=?,start_date=?,due_date=?,percent_complete=?,dependencies=?,notes=?,auto_progress=?,version=version+1,updated_at=CURRENT_TIMESTAMP,updated_by=? WHERE id=? AND project_id=? AND version=?`,
+                        [workstream, name, description, owner, owner_id, owner_contact_id, priority, status, start_date, due_date, percent_complete, dependencies, notes, auto_progress, req.user.username, req.params.id, req.params.pid, before.version], function(e) {
+                            if (e) return res.status(500).json({ error: 'Database error' });
+                            if (!this.changes) return raceConflict(res, 'tasks', req.params.id, req.params.pid);
+                            audit(req, 'task', req.params.id, req.params.pid, 'update', before, { workstream, name, description, owner, owner_id, owner_contact_id, priority, status, start_date, due_date, percent_complete, dependencies, notes, auto_progress });
+                            notifyTaskChange(req, req.params.pid, before, { id: req.params.id, workstream, name, owner, owner_id, priority, status, due_date, notes });
+                            const version = before.version + 1;
+                            res.set('ETag', etag(version)).json({ changes: this.changes, version, percent_complete, ...(warnings.length && { warnings }) });
+                        });
+                });
+            });
+        });
+    });
+}
+const TASK_FIELDS = ['workstream', 'name', 'description', ['owner', 'owner_id', 'owner_contact_id'], 'priority', 'status', 'start_date', 'due_date', 'percent_complete', 'dependencies', 'notes', 'auto_progress'];
+app.put('/api/projects/:pid/tasks/:id', auth, projectAccess, reqRole('edit'), updateTask);
+app.patch('/api/projects/:pid/tasks/:id', auth, projectAccess, reqRole('edit'), patchRow('tasks', TASK_FIELDS), updateTask);
+
+app.post('/api/projects/:pid/tasks', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    const { id, workstream, name, description, priority, status, start_date, due_date, percent_complete, dependencies, notes } = req.body;
+    if (!id || !name) return res.status(400).json({ error: 'Task ID and name required' });
+    loadOwners(req.params.pid, (e, owners) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        const { owner_id, owner_contact_id, owner, error } = resolveOwner(owners, req.body);
+        if (error) return res.status(400).json({ error });
+        checkTaskDependencies(req, res, { id, workstream, status: status||'Not Started', dependencies }, null, (warnings) => {
+            const auto_progress = req.body.auto_progress ? 1 : 0;
+            db.run(`INSERT INTO tasks (id,project_id,workstream,name,description,owner,owner_id,owner_contact_id,priority,status,start_date,due_date,percent_complete,dependencies,notes,auto_progress) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+                [id, req.params.pid, workstream, name, description, owner, owner_id, owner_contact_id, priority||'Medium', status||'Not Started', start_date, due_date, percent_complete||0, dependencies, notes, auto_progress], function(e) {
+                    if (e?.code === 'SQLITE_CONSTRAINT') return db.get("SELECT deleted_at FROM tasks WHERE id=? AND project_id=?", [id, req.params.pid], (err, t) =>
+                        res.status(409).json({ error: t?.deleted_at ? `Task ${id} is in the trash — restore or purge it first` : `Task ${id} already exists` }));
+                    if (e) return res.status(500).json({ error: e.message });
+                    audit(req, 'task', id, req.params.pid, 'create', null, { id, workstream, name, description, owner, owner_id, owner_contact_id, priority: priority||'Medium', status: status||'Not Started', start_date, due_date, percent_complete: percent_complete||0, dependencies, notes, auto_progress });
+                    notifyTaskChange(req, req.params.pid, null, { id, workstream, name, owner, owner_id, priority: priority||'Medium', status: status||'Not Started', due_date, notes });
+                    res.json(warnings.length ? { ok: true, warnings } : { ok: true });
+                });
+        });
+    });
+});
+
+// BULK TASKS - one patch applied to many tasks in a single transaction. Tasks are picked by `ids` or
+// by `filter`; the patch can change the owner, status, priority or workstream and shift dates by whole days.
+const TASK_STATUSES = ['Not Started', 'In Progress', 'Complete', 'Blocked', 'On Hold'];
+const TASK_PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+const BULK_FIELDS = ['owner', 'owner_id', 'owner_contact_id', 'status', 'priority', 'workstream', 'shift_days'];
+const BULK_FILTERS = ['workstream', 'status', 'priority', 'owner_id', 'due_before', 'due_after'];
+
+// workstream, status and priority take one value or a list; owner_id "none" matches unassigned tasks;
+// due_before / due_after (YYYY-MM-DD, inclusive) leave out tasks without a due date
+function matchesBulkFilter(t, f) {
+    const oneOf = (v, want) => want === undefined || want === '' || [].concat(want).map(String).includes(String(v));
+    return oneOf(t.workstream, f.workstream) && oneOf(t.status, f.status) && oneOf(t.priority, f.priority)
+        && (f.owner_id === undefined || f.owner_id === '' || (f.owner_id === 'none' ? !t.owner_id && !t.owner_contact_id && !t.owner : t.owner_id === parseInt(f.owner_id)))
+        && (!f.due_before || (t.due_date && t.due_date.slice(0, 10) <= f.due_before))
+        && (!f.due_after || (t.due_date && t.due_date.slice(0, 10) >= f.due_after));
+}
+
+// Body: { ids } or { filter }, and patch: { owner_id | owner_contact_id | owner, status, priority, workstream, shift_days }.
+// An empty owner unassigns. Completing a task sets it to 100% like the task table does. With dry_run the
+// summary is returned without saving; otherwise moving tasks to In Progress or Complete while they wait on
+// unfinished predecessors returns 409 with blockedBy unless force is set.
+app.post('/api/projects/:pid/tasks/bulk', auth, projectAccess, reqRole('edit'), async (req, res) => {
+    const pid = req.params.pid, { ids, filter } = req.body, patch = req.body.patch || {}, dryRun = isDryRun(req);
+    const unknownFields = Object.keys(patch).filter(k => !BULK_FIELDS.includes(k));
+    if (unknownFields.length) return res.status(400).json({ error: `These fields can't be changed in bulk: ${unknownFields.join(', ')}` });
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'Nothing to change' });
+    if ('status' in patch && !TASK_STATUSES.includes(patch.status)) return res.status(400).json({ error: `status must be one of ${TASK_STATUSES.join(', ')}` });
+    if ('priority' in patch && !TASK_PRIORITIES.includes(patch.priority)) return res.status(400).json({ error: `priority must be one of ${TASK_PRIORITIES.join(', ')}` });
+    if ('workstream' in patch && !String(patch.workstream || '').trim()) return res.status(400).json({ error: 'workstream can\'t be blank' });
+    const shift = Number(patch.shift_days ?? 0);
+    if (!Number.isInteger(shift) || Math.abs(shift) > 3650) return res.status(400).json({ error: 'shift_days must be a whole number of days' });
+    const byFilter = filter && typeof filter === 'object' && BULK_FILTERS.some(k => filter[k] !== undefined && filter[k] !== '');
+    if (!(Array.isArray(ids) && ids.length) && !byFilter) return res.status(400).json({ error: 'Pick tasks with ids or at least one filter' });
+    if ([filter?.due_before, filter?.due_after].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) return res.status(400).json({ error: 'due_before and due_after must be YYYY-MM-DD' });
+    try {
+        const tasks = await dbAll("SELECT * FROM tasks WHERE project_id=? AND deleted_at IS NULL", [pid]);
+        let targets;
+        if (Array.isArray(ids) && ids.length) {
+            const byId = new Map(tasks.map(t => [t.id.toUpperCase(), t])), wanted = [...new Set(ids.map(id => String(id).trim().toUpperCase()))];
+            const unknown = wanted.filter(id => !byId.has(id));
+            if (unknown.length) return res.status(400).json({ error: `Unknown tasks: ${unknown.join(', ')}`, unknown });
+            targets = wanted.map(id => byId.get(id));
+        } else targets = tasks.filter(t => matchesBulkFilter(t, filter));
+
+        let owner = null;
+        if (['owner', 'owner_id', 'owner_contact_id'].some(k => k in patch)) {
+            const owners = await new Promise((resolve, reject) => loadOwners(pid, (e, o) => e ? reject(e) : resolve(o)));
+            const { error, ...resolved } = resolveOwner(owners, patch);
+            if (error) return res.status(400).json({ error });
+            owner = resolved;
+        }
+        const after = new Map(tasks.map(t => [depKey(t.id), t]));
+        const plan = targets.map(t => {
+            const values = { ...owner };
+            if (patch.status) Object.assign(values, { status: patch.status }, patch.status === 'Complete' && { percent_complete: 100 });
+            if (patch.priority) values.priority = patch.priority;
+            if (patch.workstream) values.workstream = String(patch.workstream).trim();
+            if (shift) ['start_date', 'due_date'].forEach(k => { const d = toDay(t[k]); if (d !== null) values[k] = fromDay(d + shift); });
+            const changes = diffRows(t, values);
+            const changed = Object.fromEntries(Object.keys(changes).map(k => [k, values[k]]));
+            after.set(depKey(t.id), { ...t, ...changed });
+            return { id: t.id, before: t, values: changed, changes };
+        }).filter(op => Object.keys(op.changes).length);
+
+        // Predecessors are judged as they'll be after the update, so completing a chain together is fine
+        const blockedBy = plan.filter(op => ['In Progress', 'Complete'].includes(op.values.status)).map(op => ({
+            id: op.id, waitingOn: parseDeps(op.before.dependencies).map(d => after.get(d)).filter(p => p && p.id !== op.id && p.status !== 'Complete').map(p => p.id)
+        })).filter(b => b.waitingOn.length);
+        const summary = { dryRun, matched: targets.length, updated: plan.length, unchanged: targets.length - plan.length, tasks: plan.map(op => ({ id: op.id, changes: op.changes })), blockedBy };
+        if (dryRun) return res.json(summary);
+        if (blockedBy.length && !req.body.force) {
+            return res.status(409).json({ error: `${blockedBy.length} task${blockedBy.length === 1 ? ' is' : 's are'} waiting on unfinished predecessors (${blockedBy.map(b => b.id).join(', ')})`, blockedBy });
+        }
+
+        await transaction(async t => {
+            for (const op of plan) {
+                const cols = Object.keys(op.values);
+                await t.run(`UPDATE tasks SET ${cols.map(c => c + '=?').join(',')},version=version+1,updated_at=CURRENT_TIMESTAMP,updated_by=? WHERE id=? AND project_id=?`, [...cols.map(c => op.values[c]), req.user.username, op.id, pid]);
+            }
+        });
+        plan.forEach(op => {
+            const row = { ...op.before, ...op.values };
+            audit(req, 'task', op.id, pid, 'update', op.before, row);
+            notifyTaskChange(req, pid, op.before, row);
+        });
+        res.json(summary);
+    } catch (err) {
+        console.error('Bulk task update error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Moves the task to the trash; its attachments, checklist and comments stay with it until it is purged
+app.delete('/api/projects/:pid/tasks/:id', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    const { id, pid } = req.params;
+    db.get("SELECT * FROM tasks WHERE id=? AND project_id=? AND deleted_at IS NULL", [id, pid], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.json({ changes: 0 });
+        db.run("UPDATE tasks SET deleted_at=CURRENT_TIMESTAMP,deleted_by=? WHERE id=? AND project_id=? AND deleted_at IS NULL", [req.user.username, id, pid], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (this.changes) audit(req, 'task', id, pid, 'delete', before);
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+// Tasks in the project's trash, most recently deleted first
+app.get('/api/projects/:pid/trash', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    db.all(`SELECT id,project_id,workstream,name,owner,status,due_date,deleted_at,deleted_by FROM tasks WHERE project_id=? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, id`, [req.params.pid], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json((r || []).map(trashRow));
+    });
+});
+
+app.post('/api/projects/:pid/tasks/:id/restore', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    const { id, pid } = req.params;
+    db.get("SELECT * FROM tasks WHERE id=? AND project_id=? AND deleted_at IS NOT NULL", [id, pid], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not in the trash' });
+        db.run("UPDATE tasks SET deleted_at=NULL,deleted_by=NULL,version=version+1 WHERE id=? AND project_id=?", [id, pid], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            audit(req, 'task', id, pid, 'restore', null, before);
+            res.json({ changes: this.changes });
+        });
+    });
+});
 
-app.get('/api/projects/:id', auth, (req, res) => {
-    db.get("SELECT * FROM projects WHERE id=?", [req.params.id], (e, r) => {
+// Removes a task for good, with its attachment files, checklist and comments; resolves with the change count
+async function purgeTask(pid, id) {
+    const files = await dbAll("SELECT filename FROM task_attachments WHERE task_id=? AND project_id=?", [id, pid]);
+    const changes = await runInTransaction([
+        ["DELETE FROM task_attachments WHERE task_id=? AND project_id=?", [id, pid]],
+        ["DELETE FROM task_checklist_items WHERE task_id=? AND project_id=?", [id, pid]],
+        ...commentDeletes("project_id=? AND entity_type='task' AND entity_id=?", [pid, id]),
+        ["DELETE FROM tasks WHERE id=? AND project_id=?", [id, pid]]
+    ]);
+    removeUploads(files);
+    return changes;
+}
+
+// Only tasks already in the trash can be purged
+app.delete('/api/projects/:pid/tasks/:id/purge', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    const { id, pid } = req.params;
+    db.get("SELECT * FROM tasks WHERE id=? AND project_id=? AND deleted_at IS NOT NULL", [id, pid], (e, before) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        r ? res.json(r) : res.status(404).json({ error: 'Not found' });
+        if (!before) return res.status(404).json({ error: 'Not in the trash' });
+        purgeTask(pid, id).then(changes => {
+            if (changes) audit(req, 'task', id, pid, 'purge', before);
+            res.json({ changes });
+        }).catch(e => { console.error('Purge error:', e); res.status(500).json({ error: 'Database error' }); });
     });
 });
 
-app.post('/api/projects', auth, reqRole('admin'), (req, res) => {
-    const { name, description, acquired_company, parent_company, start_date, target_completion } = req.body;
-    db.run(`INSERT INTO projects (name,description,acquired_company,parent_company,start_date,target_completion) VALUES (?,?,?,?,?,?)`,
-        [name, description, acquired_company, parent_company||'Applied Industrial Technologies', start_date, target_completion],
-        function(e) { seedProjectData(this.lastID); res.json({ id: this.lastID }); });
+app.get('/api/projects/:pid/tasks/:id/history', auth, projectAccess, (req, res) => {
+    const params = [req.params.pid, req.params.id];
+    db.all(auditQuery(['project_id=?', "entity_type='task'", 'entity_id=?'], params, req.query), params, sendAudit(res));
 });
 
-app.put('/api/projects/:id', auth, reqRole('admin'), (req, res) => {
-    const { name, description, acquired_company, parent_company, status, start_date, target_completion } = req.body;
-    db.run(`UPDATE projects SET name=?,description=?,acquired_company=?,parent_company=?,status=?,start_date=?,target_completion=?,updated_at=CURRENT_TIMESTAMP WHERE id=?`,
-        [name, description, acquired_company, parent_company, status, start_date, target_completion, req.params.id], function(e) { res.json({ changes: this.changes }); });
-});
+// CHECKLISTS - items on a task. An item with a recurrence has a due date and comes round again: once
+// the due date has passed, a checked item is unchecked and moved to its next due date. Tasks with
+// auto_progress take percent_complete from the share of their one-off items that are checked.
+const RECURRENCES = { daily: { days: 1 }, weekly: { days: 7 }, fortnightly: { days: 14 }, monthly: { months: 1 } };
+const CHECKLIST_INSERT = `INSERT INTO task_checklist_items (project_id,task_id,title,recurrence,due_date,sort_order) VALUES (?,?,?,?,?,?)`;
+const isoToday = () => sqlNow().slice(0, 10);
 
-app.delete('/api/projects/:id', auth, reqRole('admin'), (req, res) => {
-    const pid = req.params.id;
-    // First clean up attachment files, then delete all records
-    db.all("SELECT filename FROM task_attachments WHERE project_id=?", [pid], (e, files) => {
-        if (e) return res.status(500).json({ error: 'Database error' });
-        (files||[]).forEach(f => {
-            const p = path.join(uploadDir, f.filename);
-            try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch(err) { console.error('File cleanup error:', err); }
-        });
-        db.serialize(() => {
-            db.run("DELETE FROM task_attachments WHERE project_id=?", [pid]);
-            db.run("DELETE FROM tasks WHERE project_id=?", [pid]);
-            db.run("DELETE FROM contacts WHERE project_id=?", [pid]);
-            db.run("DELETE FROM risks WHERE project_id=?", [pid]);
-            db.run("DELETE FROM projects WHERE id=?", [pid], function(e) {
-                if (e) return res.status(500).json({ error: 'Database error' });
-                res.json({ changes: this.changes });
+// The first date after `after` that `recurrence` reaches counting from `date` (a monthly item on the
+// 31st falls on the last day of shorter months)
+function nextOccurrence(date, recurrence, after) {
+    const { days, months } = RECURRENCES[recurrence];
+    if (days) { const from = toDay(date); return fromDay(from + Math.max(1, Math.floor((toDay(after) - from) / days) + 1) * days); }
+    const [y, m, d] = date.split('-').map(Number);
+    for (let n = months; ; n += months) {
+        const next = new Date(Date.UTC(y, m - 1 + n, Math.min(d, new Date(Date.UTC(y, m + n, 0)).getUTCDate()))).toISOString().slice(0, 10);
+        if (next > after) return next;
+    }
+}
+
+// Normalises `item` in place; returns an error message or null. A recurring item without a due date
+// is first due one period from today.
+function checkChecklistItem(item) {
+    item.title = String(item.title ?? '').trim();
+    if (!item.title) return 'Title required';
+    if (item.title.length > 500) return 'Title is too long (500 characters max)';
+    item.recurrence = item.recurrence || null;
+    if (item.recurrence && !RECURRENCES[item.recurrence]) return `recurrence must be one of ${Object.keys(RECURRENCES).join(', ')}`;
+    item.due_date = item.due_date || null;
+    if (item.due_date && !/^\d{4}-\d{2}-\d{2}$/.test(item.due_date)) return 'due_date must be YYYY-MM-DD';
+    if (item.recurrence && !item.due_date) item.due_date = nextOccurrence(isoToday(), item.recurrence, isoToday());
+    return null;
+}
+
+// Template checklists (default_tasks.checklist): a list of titles or { title, recurrence } → { items } or { error }
+function parseChecklist(list) {
+    if (list === undefined || list === null || list === '') return { items: [] };
+    if (!Array.isArray(list)) return { error: 'checklist must be a list' };
+    const items = list.map(i => (typeof i === 'string' ? { title: i } : i || {})).map(i => ({ title: String(i.title ?? '').trim(), recurrence: i.recurrence || null }));
+    if (items.some(i => !i.title)) return { error: 'Every checklist item needs a title' };
+    if (items.some(i => i.recurrence && !RECURRENCES[i.recurrence])) return { error: `recurrence must be one of ${Object.keys(RECURRENCES).join(', ')}` };
+    return { items };
+}
+
+const checklistJson = items => (items.length ? JSON.stringify(items) : null);
+
+// A template task's stored checklist as [title, recurrence, due_date, sort_order] rows for CHECKLIST_INSERT
+function templateChecklist(json) {
+    let items;
+    try { items = JSON.parse(json || '[]'); } catch { items = []; }
+    return items.map((i, n) => [i.title, i.recurrence || null, i.recurrence ? nextOccurrence(isoToday(), i.recurrence, isoToday()) : null, n + 1]);
+}
+
+// Percent of a task's one-off checklist items that are checked, or null when it has none
+function checklistProgress(pid, taskId, cb) {
+    db.get("SELECT COUNT(*) as total, SUM(done) as done FROM task_checklist_items WHERE project_id=? AND task_id=? AND recurrence IS NULL", [pid, taskId],
+        (e, r) => cb(e, e || !r.total ? null : Math.round(r.done * 100 / r.total)));
+}
+
+// Brings an auto_progress task's percent_complete into line with its checklist; cb({ percent_complete, task_version })
+function syncTaskProgress(req, pid, taskId, cb) {
+    db.get("SELECT * FROM tasks WHERE id=? AND project_id=?", [taskId, pid], (e, task) => {
+        if (e || !task) return cb({ percent_complete: null });
+        const current = { percent_complete: task.percent_complete, task_version: task.version };
+        if (!task.auto_progress) return cb(current);
+        checklistProgress(pid, taskId, (e, pct) => {
+            if (e || pct === null || pct === task.percent_complete) return cb(current);
+            db.run("UPDATE tasks SET percent_complete=?,version=version+1,updated_at=CURRENT_TIMESTAMP,updated_by=? WHERE id=? AND project_id=?", [pct, req.user.username, taskId, pid], (e) => {
+                if (e) return cb(current);
+                audit(req, 'task', taskId, pid, 'update', task, { ...task, percent_complete: pct });
+                cb({ percent_complete: pct, task_version: task.version + 1 });
             });
         });
     });
-});
+}
 
-// MY TASKS - tasks assigned to current user across all projects
-app.get('/api/my-tasks', auth, (req, res) => {
-    const username = req.user.display_name || req.user.username;
-    db.all(`SELECT t.*, p.name as project_name, p.id as project_id,
-        (SELECT COUNT(*) FROM task_attachments WHERE task_id=t.id AND project_id=t.project_id) as attachment_count
-        FROM tasks t 
-        JOIN projects p ON t.project_id = p.id 
-        WHERE t.owner = ? 
-        ORDER BY 
-            CASE WHEN t.status='Blocked' THEN 0 WHEN t.status='In Progress' THEN 1 WHEN t.status='Not Started' THEN 2 ELSE 3 END,
-            CASE WHEN t.due_date IS NULL OR t.due_date='' THEN '9999-99-99' ELSE t.due_date END,
-            t.priority`, 
-        [username], (e, r) => {
-            if (e) return res.status(500).json({ error: 'Database error' });
-            res.json(r || []);
-        });
-});
+// Checked recurring items whose due date has passed come round again. Runs at startup and hourly.
+function regenerateChecklists() {
+    db.all("SELECT id,recurrence,due_date FROM task_checklist_items WHERE done=1 AND recurrence IS NOT NULL AND due_date < ?", [isoToday()], (e, items) => {
+        if (e) return console.error('Checklist regeneration error:', e);
+        items.filter(i => RECURRENCES[i.recurrence] && toDay(i.due_date) !== null).forEach(i =>
+            db.run("UPDATE task_checklist_items SET done=0,done_at=NULL,done_by=NULL,due_date=? WHERE id=?", [nextOccurrence(i.due_date, i.recurrence, isoToday()), i.id]));
+    });
+}
+setInterval(regenerateChecklists, 3600000);
 
-// EXPORT
-app.get('/api/projects/:id/export', auth, (req, res) => {
-    const pid = req.params.id;
-    db.get("SELECT * FROM projects WHERE id=?", [pid], (e, project) => {
+function loadChecklistItem(req, res, next) {
+    db.get("SELECT * FROM task_checklist_items WHERE id=? AND task_id=? AND project_id=?", [req.params.itemId, req.params.tid, req.params.pid], (e, item) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        if (!project) return res.status(404).json({ error: 'Not found' });
-        db.all("SELECT * FROM tasks WHERE project_id=? ORDER BY workstream,id", [pid], (e, tasks) => {
-            if (e) return res.status(500).json({ error: 'Database error' });
-            db.all("SELECT * FROM contacts WHERE project_id=?", [pid], (e, contacts) => {
-                if (e) return res.status(500).json({ error: 'Database error' });
-                db.all("SELECT * FROM risks WHERE project_id=?", [pid], (e, risks) => {
-                    if (e) return res.status(500).json({ error: 'Database error' });
-                    const ws = [...new Set((tasks||[]).map(t => t.workstream))];
-                    const wsStats = ws.map(w => {
-                        const wt = tasks.filter(t => t.workstream === w);
-                        return { workstream: w, total: wt.length, notStarted: wt.filter(t => t.status==='Not Started').length, inProgress: wt.filter(t => t.status==='In Progress').length, complete: wt.filter(t => t.status==='Complete').length, blocked: wt.filter(t => t.status==='Blocked').length, progress: wt.length ? Math.round(wt.reduce((s,t) => s+(t.percent_complete||0),0)/wt.length) : 0 };
-                    });
-                    res.json({ project, tasks: tasks||[], contacts: contacts||[], risks: risks||[], workstreamStats: wsStats, exportedAt: new Date().toISOString(), exportedBy: req.user.username });
-                });
-            });
-        });
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        next(item);
     });
-});
+}
 
-// TASKS
-app.get('/api/projects/:pid/tasks', auth, (req, res) => {
-    db.all(`SELECT t.*, (SELECT COUNT(*) FROM task_attachments WHERE task_id=t.id AND project_id=t.project_id) as attachment_count FROM tasks t WHERE t.project_id=? ORDER BY t.id`, [req.params.pid], (e, r) => {
+app.get('/api/projects/:pid/tasks/:tid/checklist', auth, projectAccess, (req, res) => {
+    db.all("SELECT * FROM task_checklist_items WHERE task_id=? AND project_id=? ORDER BY sort_order,id", [req.params.tid, req.params.pid], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
         res.json(r || []);
     });
 });
 
-app.put('/api/projects/:pid/tasks/:id', auth, reqRole('edit'), (req, res) => {
-    const { workstream, name, description, owner, priority, status, start_date, due_date, percent_complete, dependencies, notes } = req.body;
-    db.run(`UPDATE tasks SET workstream=?,name=?,description=?,owner=?,priority=?,status=?,start_date=?,due_date=?,percent_complete=?,dependencies=?,notes=?,updated_at=CURRENT_TIMESTAMP,updated_by=? WHERE id=? AND project_id=?`,
-        [workstream, name, description, owner, priority, status, start_date, due_date, percent_complete, dependencies, notes, req.user.username, req.params.id, req.params.pid], function(e) {
-            if (e) return res.status(500).json({ error: 'Database error' });
-            res.json({ changes: this.changes });
-        });
+// Body: { title, recurrence, due_date }. Responds with the task's percent_complete and version, which change with auto_progress.
+app.post('/api/projects/:pid/tasks/:tid/checklist', auth, projectAccess, reqRole('edit'), (req, res) => {
+    const { pid, tid } = req.params, item = { title: req.body.title, recurrence: req.body.recurrence, due_date: req.body.due_date };
+    const error = checkChecklistItem(item);
+    if (error) return res.status(400).json({ error });
+    db.get("SELECT id FROM tasks WHERE id=? AND project_id=? AND deleted_at IS NULL", [tid, pid], (e, task) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        db.run(`INSERT INTO task_checklist_items (project_id,task_id,title,recurrence,due_date,sort_order) VALUES (?,?,?,?,?,(SELECT COALESCE(MAX(sort_order),0)+1 FROM task_checklist_items WHERE project_id=? AND task_id=?))`,
+            [pid, tid, item.title, item.recurrence, item.due_date, pid, tid], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                const id = this.lastID;
+                audit(req, 'checklist', id, pid, 'create', null, { task_id: tid, ...item });
+                syncTaskProgress(req, pid, tid, task => res.json({ id, due_date: item.due_date, ...task }));
+            });
+    });
 });
 
-app.post('/api/projects/:pid/tasks', auth, reqRole('teamlead'), (req, res) => {
-    const { id, workstream, name, description, owner, priority, status, start_date, due_date, percent_complete, dependencies, notes } = req.body;
-    if (!id || !name) return res.status(400).json({ error: 'Task ID and name required' });
-    db.run(`INSERT INTO tasks (id,project_id,workstream,name,description,owner,priority,status,start_date,due_date,percent_complete,dependencies,notes) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`,
-        [id, req.params.pid, workstream, name, description, owner, priority||'Medium', status||'Not Started', start_date, due_date, percent_complete||0, dependencies, notes], function(e) {
-            if (e) return res.status(500).json({ error: e.message });
-            res.json({ ok: true });
-        });
+// Body: any of { title, done, recurrence, due_date, sort_order }; fields left out keep their values
+app.put('/api/projects/:pid/tasks/:tid/checklist/:itemId', auth, projectAccess, reqRole('edit'), (req, res) => {
+    const { pid, tid } = req.params, b = req.body;
+    loadChecklistItem(req, res, (before) => {
+        const keep = k => (b[k] === undefined ? before[k] : b[k]);
+        const item = { title: keep('title'), recurrence: keep('recurrence'), due_date: keep('due_date'), sort_order: parseInt(keep('sort_order')) || 0, done: keep('done') ? 1 : 0 };
+        const error = checkChecklistItem(item);
+        if (error) return res.status(400).json({ error });
+        const checking = item.done && !before.done;
+        Object.assign(item, item.done ? { done_at: checking ? sqlNow() : before.done_at, done_by: checking ? req.user.username : before.done_by } : { done_at: null, done_by: null });
+        db.run("UPDATE task_checklist_items SET title=?,done=?,done_at=?,done_by=?,recurrence=?,due_date=?,sort_order=? WHERE id=?",
+            [item.title, item.done, item.done_at, item.done_by, item.recurrence, item.due_date, item.sort_order, before.id], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'checklist', before.id, pid, 'update', before, { ...before, ...item });
+                syncTaskProgress(req, pid, tid, task => res.json({ changes: this.changes, due_date: item.due_date, ...task }));
+            });
+    });
 });
 
-app.delete('/api/projects/:pid/tasks/:id', auth, reqRole('teamlead'), (req, res) => {
-    const { id, pid } = req.params;
-    // Sequential: find files → delete files → delete attachment records → delete task
-    db.all("SELECT filename FROM task_attachments WHERE task_id=? AND project_id=?", [id, pid], (e, files) => {
-        if (e) return res.status(500).json({ error: 'Database error' });
-        (files||[]).forEach(f => {
-            const p = path.join(uploadDir, f.filename);
-            try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch(err) { console.error('File cleanup error:', err); }
-        });
-        db.run("DELETE FROM task_attachments WHERE task_id=? AND project_id=?", [id, pid], (e) => {
+app.delete('/api/projects/:pid/tasks/:tid/checklist/:itemId', auth, projectAccess, reqRole('edit'), (req, res) => {
+    const { pid, tid } = req.params;
+    loadChecklistItem(req, res, (before) => {
+        db.run("DELETE FROM task_checklist_items WHERE id=?", [before.id], function(e) {
             if (e) return res.status(500).json({ error: 'Database error' });
-            db.run("DELETE FROM tasks WHERE id=? AND project_id=?", [id, pid], function(e) {
-                if (e) return res.status(500).json({ error: 'Database error' });
-                res.json({ changes: this.changes });
-            });
+            audit(req, 'checklist', before.id, pid, 'delete', before);
+            syncTaskProgress(req, pid, tid, task => res.json({ changes: this.changes, ...task }));
         });
     });
 });
 
 // ATTACHMENTS
-app.get('/api/projects/:pid/tasks/:tid/attachments', auth, (req, res) => {
+app.get('/api/projects/:pid/tasks/:tid/attachments', auth, projectAccess, (req, res) => {
     db.all("SELECT * FROM task_attachments WHERE task_id=? AND project_id=? ORDER BY uploaded_at DESC", [req.params.tid, req.params.pid], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
         res.json(r || []);
     });
 });
 
-app.post('/api/projects/:pid/tasks/:tid/attachments', auth, reqRole('edit'), upload.single('file'), (req, res) => {
+app.post('/api/projects/:pid/tasks/:tid/attachments', auth, projectAccess, reqRole('edit'), upload.single('file'), (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file or file type not allowed' });
     db.run(`INSERT INTO task_attachments (task_id,project_id,filename,original_name,file_size,mime_type,uploaded_by) VALUES (?,?,?,?,?,?,?)`,
         [req.params.tid, req.params.pid, req.file.filename, req.file.originalname, req.file.size, req.file.mimetype, req.user.username], function(e) {
             if (e) return res.status(500).json({ error: 'Database error' });
+            publishTask(req, req.params.pid, req.params.tid, 'attachment', { action: 'create', id: this.lastID, task_id: req.params.tid, name: req.file.originalname });
             res.json({ id: this.lastID, filename: req.file.filename });
         });
 });
 
-app.delete('/api/projects/:pid/tasks/:tid/attachments/:id', auth, reqRole('edit'), (req, res) => {
-    db.get("SELECT filename FROM task_attachments WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, f) => {
+app.delete('/api/projects/:pid/tasks/:tid/attachments/:id', auth, projectAccess, reqRole('edit'), (req, res) => {
+    db.get("SELECT filename,original_name,task_id FROM task_attachments WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, f) => {
         if (e) return res.status(500).json({ error: 'Database error' });
         if (!f) return res.status(404).json({ error: 'Not found' });
         const p = path.join(uploadDir, f.filename);
         try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch(err) { console.error('File cleanup error:', err); }
         db.run("DELETE FROM task_attachments WHERE id=?", [req.params.id], function(e) {
             if (e) return res.status(500).json({ error: 'Database error' });
+            publishTask(req, req.params.pid, f.task_id, 'attachment', { action: 'delete', id: parseInt(req.params.id), task_id: f.task_id, name: f.original_name });
             res.json({ ok: true });
         });
     });
 });
 
 // CONTACTS
-app.get('/api/projects/:pid/contacts', auth, (req, res) => {
+app.get('/api/projects/:pid/contacts', auth, projectAccess, (req, res) => {
     db.all("SELECT * FROM contacts WHERE project_id=? ORDER BY workstream", [req.params.pid], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
         res.json(r || []);
     });
 });
 
-app.put('/api/projects/:pid/contacts/:id', auth, reqRole('edit'), (req, res) => {
-    const { name, role, company, workstream, email, phone } = req.body;
-    db.run(`UPDATE contacts SET name=?,role=?,company=?,workstream=?,email=?,phone=?,updated_at=CURRENT_TIMESTAMP WHERE id=? AND project_id=?`, [name, role, company, workstream, email, phone, req.params.id, req.params.pid], function(e) {
+app.get('/api/projects/:pid/contacts/:id', auth, projectAccess, (req, res) => {
+    db.get("SELECT * FROM contacts WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json({ changes: this.changes });
+        r ? res.set('ETag', etag(r.version)).json(r) : res.status(404).json({ error: 'Not found' });
     });
 });
 
-app.post('/api/projects/:pid/contacts', auth, reqRole('teamlead'), (req, res) => {
+function updateContact(req, res) {
+    const { name, role, company, workstream, email, phone } = req.body;
+    db.get("SELECT * FROM contacts WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        if (staleVersion(req, res, 'contacts', before)) return;
+        db.run(`UPDATE contacts SET name=?,role=?,company=?,workstream=?,email=?,phone=?,version=version+1,updated_at=CURRENT_TIMESTAMP WHERE id=? AND project_id=? AND version=?`, [name, role, company, workstream, email, phone, req.params.id, req.params.pid, before.version], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (!this.changes) return raceConflict(res, 'contacts', req.params.id, req.params.pid);
+            audit(req, 'contact', req.params.id, req.params.pid, 'update', before, { name, role, company, workstream, email, phone });
+            if (name !== before.name) updateOwnedTasks(req, 'owner_contact_id=? AND project_id=? AND owner IS NOT ?', [req.params.id, req.params.pid, name], { owner: name }).catch(ownerUpdateFailed);
+            const version = before.version + 1;
+            res.set('ETag', etag(version)).json({ changes: this.changes, version });
+        });
+    });
+}
+const CONTACT_FIELDS = ['name', 'role', 'company', 'workstream', 'email', 'phone'];
+app.put('/api/projects/:pid/contacts/:id', auth, projectAccess, reqRole('edit'), updateContact);
+app.patch('/api/projects/:pid/contacts/:id', auth, projectAccess, reqRole('edit'), patchRow('contacts', CONTACT_FIELDS), updateContact);
+
+app.post('/api/projects/:pid/contacts', auth, projectAccess, reqRole('teamlead'), (req, res) => {
     const { name, role, company, workstream, email, phone } = req.body;
     db.run(`INSERT INTO contacts (project_id,name,role,company,workstream,email,phone) VALUES (?,?,?,?,?,?,?)`, [req.params.pid, name, role, company, workstream, email, phone], function(e) {
         if (e) return res.status(500).json({ error: 'Database error' });
+        audit(req, 'contact', this.lastID, req.params.pid, 'create', null, { id: this.lastID, name, role, company, workstream, email, phone });
         res.json({ id: this.lastID });
     });
 });
 
-app.delete('/api/projects/:pid/contacts/:id', auth, reqRole('teamlead'), (req, res) => {
-    db.run("DELETE FROM contacts WHERE id=? AND project_id=?", [req.params.id, req.params.pid], function(e) {
+app.delete('/api/projects/:pid/contacts/:id', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    db.get("SELECT * FROM contacts WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, before) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json({ changes: this.changes });
+        db.run("DELETE FROM contacts WHERE id=? AND project_id=?", [req.params.id, req.params.pid], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (this.changes) audit(req, 'contact', req.params.id, req.params.pid, 'delete', before);
+            // Tasks the contact owned keep the name as plain text until someone picks a new owner
+            updateOwnedTasks(req, 'owner_contact_id=? AND project_id=?', [req.params.id, req.params.pid], { owner_contact_id: null }).catch(ownerUpdateFailed);
+            res.json({ changes: this.changes });
+        });
     });
 });
 
+app.get('/api/projects/:pid/contacts/:id/history', auth, projectAccess, (req, res) => {
+    const params = [req.params.pid, req.params.id];
+    db.all(auditQuery(['project_id=?', "entity_type='contact'", 'entity_id=?'], params, req.query), params, sendAudit(res));
+});
+
 // RISKS
-app.get('/api/projects/:pid/risks', auth, (req, res) => {
-    db.all("SELECT * FROM risks WHERE project_id=?", [req.params.pid], (e, r) => {
+// Highest score first, each with likelihood_score, impact_score, score and rating
+app.get('/api/projects/:pid/risks', auth, projectAccess, (req, res) => {
+    db.all("SELECT * FROM risks WHERE project_id=? ORDER BY id", [req.params.pid], (e, r) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json(r || []);
+        res.json((r || []).map(scoreRisk).sort((a, b) => (b.score || 0) - (a.score || 0)));
     });
 });
 
-app.put('/api/projects/:pid/risks/:id', auth, reqRole('edit'), (req, res) => {
-    const { description, workstream, likelihood, impact, mitigation, owner } = req.body;
-    db.run(`UPDATE risks SET description=?,workstream=?,likelihood=?,impact=?,mitigation=?,owner=?,updated_at=CURRENT_TIMESTAMP WHERE id=? AND project_id=?`, [description, workstream, likelihood, impact, mitigation, owner, req.params.id, req.params.pid], function(e) {
+// Risk counts on the likelihood × impact grid: grid[likelihood - 1][impact - 1]. Closed risks are left
+// out unless ?status= (comma-separated) asks for them; ?workstream= narrows it further.
+app.get('/api/projects/:pid/risks/heatmap', auth, projectAccess, (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : RISK_STATUSES.filter(s => s !== 'Closed');
+    db.all("SELECT * FROM risks WHERE project_id=? ORDER BY id", [req.params.pid], (e, rows) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json({ changes: this.changes });
+        const all = (rows || []).map(scoreRisk);
+        const risks = all.filter(r => statuses.includes(r.status) && (!req.query.workstream || r.workstream === req.query.workstream));
+        const grid = RISK_LEVELS.map((l, li) => RISK_LEVELS.map((i, ii) => ({ score: (li + 1) * (ii + 1), rating: riskRating((li + 1) * (ii + 1)), count: 0, risks: [] })));
+        risks.filter(r => r.score).forEach(r => {
+            const cell = grid[r.likelihood_score - 1][r.impact_score - 1];
+            cell.count++;
+            cell.risks.push({ id: r.id, description: r.description, status: r.status, workstream: r.workstream });
+        });
+        res.json({
+            levels: RISK_LEVELS, statuses, grid,
+            unscored: risks.filter(r => !r.score).map(r => r.id),
+            byStatus: Object.fromEntries(RISK_STATUSES.map(s => [s, all.filter(r => r.status === s).length])),
+            byRating: Object.fromEntries(RISK_RATINGS.map(([, name]) => [name, risks.filter(r => r.rating === name).length]))
+        });
+    });
+});
+
+app.get('/api/projects/:pid/risks/:id', auth, projectAccess, (req, res) => {
+    db.get("SELECT * FROM risks WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        r ? res.set('ETag', etag(r.version)).json(scoreRisk(r)) : res.status(404).json({ error: 'Not found' });
     });
 });
 
-app.post('/api/projects/:pid/risks', auth, reqRole('teamlead'), (req, res) => {
-    const { id, description, workstream, likelihood, impact, mitigation, owner } = req.body;
+// status, target_date and mitigation_tasks keep their current values when they're left out
+function updateRisk(req, res) {
+    const { description, workstream, likelihood, impact, mitigation, owner } = req.body;
+    db.get("SELECT * FROM risks WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        if (staleVersion(req, res, 'risks', before)) return;
+        const keep = k => req.body[k] === undefined ? before[k] : req.body[k] || null;
+        const risk = { description, workstream, likelihood, impact, mitigation, owner, status: keep('status') || 'Open', target_date: keep('target_date'), mitigation_tasks: keep('mitigation_tasks') };
+        checkRisk(req, res, risk, before, () => {
+            db.run(`UPDATE risks SET description=?,workstream=?,likelihood=?,impact=?,mitigation=?,owner=?,status=?,target_date=?,mitigation_tasks=?,closed_at=?,version=version+1,updated_at=CURRENT_TIMESTAMP WHERE id=? AND project_id=? AND version=?`,
+                [description, workstream, risk.likelihood, risk.impact, mitigation, owner, risk.status, risk.target_date, risk.mitigation_tasks, risk.closed_at, req.params.id, req.params.pid, before.version], function(e) {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    if (!this.changes) return raceConflict(res, 'risks', req.params.id, req.params.pid);
+                    audit(req, 'risk', req.params.id, req.params.pid, 'update', before, risk);
+                    const version = before.version + 1;
+                    res.set('ETag', etag(version)).json({ changes: this.changes, ...scoreRisk(risk), version });
+                });
+        });
+    });
+}
+const RISK_FIELDS = ['description', 'workstream', 'likelihood', 'impact', 'mitigation', 'owner', 'status', 'target_date', 'mitigation_tasks'];
+app.put('/api/projects/:pid/risks/:id', auth, projectAccess, reqRole('edit'), updateRisk);
+app.patch('/api/projects/:pid/risks/:id', auth, projectAccess, reqRole('edit'), patchRow('risks', RISK_FIELDS), updateRisk);
+
+app.post('/api/projects/:pid/risks', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    const { id, description, workstream, mitigation, owner } = req.body;
     if (!id) return res.status(400).json({ error: 'Risk ID required' });
-    db.run(`INSERT INTO risks (id,project_id,description,workstream,likelihood,impact,mitigation,owner) VALUES (?,?,?,?,?,?,?,?)`, [id, req.params.pid, description, workstream, likelihood, impact, mitigation, owner], function(e) {
-        if (e) return res.status(500).json({ error: e.message });
-        res.json({ ok: true });
+    const risk = { id, description, workstream, likelihood: req.body.likelihood || 'Medium', impact: req.body.impact || 'Medium', mitigation, owner,
+        status: req.body.status || 'Open', target_date: req.body.target_date || null, mitigation_tasks: req.body.mitigation_tasks };
+    checkRisk(req, res, risk, null, () => {
+        db.run(`INSERT INTO risks (id,project_id,description,workstream,likelihood,impact,mitigation,owner,status,target_date,mitigation_tasks,closed_at) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
+            [id, req.params.pid, description, workstream, risk.likelihood, risk.impact, mitigation, owner, risk.status, risk.target_date, risk.mitigation_tasks, risk.closed_at], function(e) {
+                if (e) return res.status(500).json({ error: e.message });
+                audit(req, 'risk', id, req.params.pid, 'create', null, risk);
+                res.json({ ok: true, ...scoreRisk(risk) });
+            });
     });
 });
 
-app.delete('/api/projects/:pid/risks/:id', auth, reqRole('teamlead'), (req, res) => {
-    db.run("DELETE FROM risks WHERE id=? AND project_id=?", [req.params.id, req.params.pid], function(e) {
+app.delete('/api/projects/:pid/risks/:id', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    db.get("SELECT * FROM risks WHERE id=? AND project_id=?", [req.params.id, req.params.pid], (e, before) => {
         if (e) return res.status(500).json({ error: 'Database error' });
-        res.json({ changes: this.changes });
+        db.run("DELETE FROM risks WHERE id=? AND project_id=?", [req.params.id, req.params.pid], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (this.changes) audit(req, 'risk', req.params.id, req.params.pid, 'delete', before);
+            if (this.changes) deleteComments("project_id=? AND entity_type='risk' AND entity_id=?", [req.params.pid, req.params.id]);
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+app.get('/api/projects/:pid/risks/:id/history', auth, projectAccess, (req, res) => {
+    const params = [req.params.pid, req.params.id];
+    db.all(auditQuery(['project_id=?', "entity_type='risk'", 'entity_id=?'], params, req.query), params, sendAudit(res));
+});
+
+// COMMENTS - threaded discussion on tasks and risks. Anyone who can edit in the project can comment;
+// the author or a team lead can edit or delete. @username mentions reach the mentioned user's feed
+// (GET /api/my-mentions) and inbox, but only for users who can open the project.
+const COMMENT_ENTITIES = { tasks: 'task', risks: 'risk' };
+const COMMENT_MAX_LENGTH = 10000;
+
+// Lower-cased usernames after an @; a trailing full stop or dash is punctuation, not part of the name
+const mentionedNames = body => [...new Set([...String(body).matchAll(/@([\w.-]+)/g)].map(m => m[1].replace(/[.-]+$/, '').toLowerCase()))];
+
+// Active users mentioned in `body` who can see project `pid`, leaving out the author
+function findMentions(body, pid, authorId, cb) {
+    const names = mentionedNames(body);
+    if (!names.length) return cb(null, []);
+    db.all(`SELECT * FROM users WHERE active=1 AND id<>? AND LOWER(username) IN (${names.map(() => '?').join(',')})
+        AND (role='admin' OR id IN (SELECT user_id FROM project_members WHERE project_id=?))`, [authorId, ...names, pid], cb);
+}
+
+// Makes the comment's mention rows match `users`; resolves with the users who weren't mentioned before
+async function saveMentions(commentId, users) {
+    const had = new Set((await dbAll("SELECT user_id FROM comment_mentions WHERE comment_id=?", [commentId])).map(m => m.user_id));
+    const ids = users.map(u => u.id);
+    await dbRun(`DELETE FROM comment_mentions WHERE comment_id=?${ids.length ? ` AND user_id NOT IN (${ids.join(',')})` : ''}`, [commentId]);
+    const added = users.filter(u => !had.has(u.id));
+    for (const u of added) await dbRun("INSERT INTO comment_mentions (comment_id,user_id) VALUES (?,?)", [commentId, u.id]);
+    return added;
+}
+
+// Threads are removed with the task, risk or project they belong to
+const commentDeletes = (where, params) => [
+    [`DELETE FROM comment_mentions WHERE comment_id IN (SELECT id FROM comments WHERE ${where})`, params],
+    [`DELETE FROM comments WHERE ${where}`, params]
+];
+function deleteComments(where, params) {
+    db.serialize(() => commentDeletes(where, params).forEach(([sql, p]) => db.run(sql, p)));
+}
+
+// The task or risk a thread belongs to, with a title for the mentions feed and emails
+function loadCommentEntity(pid, type, id, cb) {
+    db.get(`SELECT id, ${type === 'task' ? 'name' : 'description'} as title FROM ${type === 'task' ? 'tasks' : 'risks'} WHERE id=? AND project_id=?${type === 'task' ? ' AND deleted_at IS NULL' : ''}`, [id, pid], cb);
+}
+
+function validCommentBody(res, body) {
+    if (!body) { res.status(400).json({ error: 'Comment text required' }); return false; }
+    if (body.length > COMMENT_MAX_LENGTH) { res.status(400).json({ error: `Comments are limited to ${COMMENT_MAX_LENGTH} characters` }); return false; }
+    return true;
+}
+
+// Calls next(comment) when the caller wrote the comment in :pid/:cid or is a team lead there
+function commentAuthorOrLead(req, res, next) {
+    db.get("SELECT * FROM comments WHERE id=? AND project_id=?", [req.params.cid, req.params.pid], (e, c) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!c) return res.status(404).json({ error: 'Not found' });
+        if (c.user_id !== req.user.id && req.role.level < ROLES.teamlead.level) return res.status(403).json({ error: 'Only the author or a team lead can change this comment' });
+        next(c);
+    });
+}
+
+const COMMENT_COLS = "c.*, COALESCE(NULLIF(u.display_name,''), u.username, c.author) as author_name";
+
+// Oldest first; replies carry their parent's id. Opening a thread marks the caller's mentions in it as read.
+app.get('/api/projects/:pid/:kind(tasks|risks)/:id/comments', auth, projectAccess, (req, res) => {
+    const { pid, id } = req.params, type = COMMENT_ENTITIES[req.params.kind];
+    loadCommentEntity(pid, type, id, (e, entity) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!entity) return res.status(404).json({ error: 'Not found' });
+        db.all(`SELECT ${COMMENT_COLS}, m.user_id IS NOT NULL AND m.read_at IS NULL as unread_mention FROM comments c LEFT JOIN users u ON u.id=c.user_id
+            LEFT JOIN comment_mentions m ON m.comment_id=c.id AND m.user_id=? WHERE c.project_id=? AND c.entity_type=? AND c.entity_id=? ORDER BY c.created_at, c.id`, [req.user.id, pid, type, id], (e, rows) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (rows.some(r => r.unread_mention)) db.run(`UPDATE comment_mentions SET read_at=CURRENT_TIMESTAMP WHERE user_id=? AND read_at IS NULL
+                AND comment_id IN (SELECT id FROM comments WHERE project_id=? AND entity_type=? AND entity_id=?)`, [req.user.id, pid, type, id]);
+            res.json(rows);
+        });
+    });
+});
+
+// Body: { body, parent_id } — parent_id replies to a comment in the same thread (a reply to a reply joins its parent's thread)
+app.post('/api/projects/:pid/:kind(tasks|risks)/:id/comments', auth, projectAccess, reqRole('edit'), (req, res) => {
+    const { pid, id } = req.params, type = COMMENT_ENTITIES[req.params.kind];
+    const body = String(req.body.body || '').trim();
+    if (!validCommentBody(res, body)) return;
+    loadCommentEntity(pid, type, id, (e, entity) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!entity) return res.status(404).json({ error: 'Not found' });
+        db.get("SELECT id,parent_id FROM comments WHERE id=? AND project_id=? AND entity_type=? AND entity_id=?", [req.body.parent_id || 0, pid, type, id], (e, parent) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (req.body.parent_id && !parent) return res.status(400).json({ error: `Replies must be to a comment on this ${type}` });
+            const parentId = parent ? parent.parent_id || parent.id : null;
+            findMentions(body, pid, req.user.id, (e, mentioned) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                db.run("INSERT INTO comments (project_id,entity_type,entity_id,parent_id,user_id,author,body) VALUES (?,?,?,?,?,?,?)", [pid, type, id, parentId, req.user.id, req.user.username, body], function(e) {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    const cid = this.lastID;
+                    audit(req, 'comment', cid, pid, 'create', null, { entity_type: type, entity_id: id, parent_id: parentId, body });
+                    saveMentions(cid, mentioned).then(added => {
+                        notifyMentions(req, pid, type, entity, added, body);
+                        res.json({ id: cid, parent_id: parentId, mentioned: added.map(u => u.username) });
+                    }).catch(err => { console.error('Mention error:', err); res.status(500).json({ error: 'Database error' }); });
+                });
+            });
+        });
+    });
+});
+
+// Body: { body }. Users mentioned for the first time by the edit are notified; removed mentions drop out of their feed.
+app.put('/api/projects/:pid/comments/:cid', auth, projectAccess, reqRole('edit'), (req, res) => {
+    const body = String(req.body.body || '').trim();
+    if (!validCommentBody(res, body)) return;
+    commentAuthorOrLead(req, res, before => {
+        loadCommentEntity(before.project_id, before.entity_type, before.entity_id, (e, entity) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            findMentions(body, before.project_id, before.user_id, (e, mentioned) => {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                db.run("UPDATE comments SET body=?,updated_at=CURRENT_TIMESTAMP WHERE id=?", [body, before.id], function(e) {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    audit(req, 'comment', before.id, before.project_id, 'update', before, { body });
+                    saveMentions(before.id, mentioned).then(added => {
+                        notifyMentions(req, before.project_id, before.entity_type, entity || { id: before.entity_id }, added, body);
+                        res.json({ changes: this.changes, mentioned: added.map(u => u.username) });
+                    }).catch(err => { console.error('Mention error:', err); res.status(500).json({ error: 'Database error' }); });
+                });
+            });
+        });
+    });
+});
+
+// Deleting a comment also deletes its replies
+app.delete('/api/projects/:pid/comments/:cid', auth, projectAccess, reqRole('edit'), (req, res) => {
+    commentAuthorOrLead(req, res, before => {
+        db.all("SELECT * FROM comments WHERE parent_id=?", [before.id], (e, replies) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            const ids = [before.id, ...replies.map(r => r.id)];
+            db.serialize(() => {
+                db.run(`DELETE FROM comment_mentions WHERE comment_id IN (${ids.join(',')})`);
+                db.run(`DELETE FROM comments WHERE id IN (${ids.join(',')})`, function(e) {
+                    if (e) return res.status(500).json({ error: 'Database error' });
+                    [before, ...replies].forEach(c => audit(req, 'comment', c.id, c.project_id, 'delete', c));
+                    res.json({ changes: this.changes });
+                });
+            });
+        });
+    });
+});
+
+// ACTIVITY - project-wide feed and global admin feed (users live outside any project)
+app.get('/api/projects/:pid/activity', auth, projectAccess, (req, res) => {
+    const params = [req.params.pid];
+    db.all(auditQuery(['project_id=?'], params, req.query), params, sendAudit(res));
+});
+
+app.get('/api/admin/activity', auth, reqRole('admin'), (req, res) => {
+    const params = [];
+    db.all(auditQuery([], params, req.query), params, sendAudit(res));
+});
+
+// MEMBERS - per-project access; a member's role replaces their global role within the project
+app.get('/api/projects/:pid/members', auth, projectAccess, (req, res) => {
+    db.all(`SELECT m.user_id, m.role, m.added_by, m.added_at, u.username, u.display_name, u.role as global_role, u.active FROM project_members m JOIN users u ON u.id=m.user_id WHERE m.project_id=? ORDER BY u.display_name, u.username`, [req.params.pid], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+app.post('/api/projects/:pid/members', auth, allowArchived, projectAccess, reqRole('admin'), (req, res) => {
+    const { user_id, role } = req.body;
+    if (!user_id) return res.status(400).json({ error: 'User required' });
+    if (!ROLES[role]) return res.status(400).json({ error: 'Invalid role' });
+    db.get("SELECT id FROM users WHERE id=?", [user_id], (e, u) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!u) return res.status(404).json({ error: 'User not found' });
+        db.run(`INSERT INTO project_members (project_id,user_id,role,added_by) VALUES (?,?,?,?)`, [req.params.pid, user_id, role, req.user.username], function(e) {
+            if (e) return res.status(e.message.includes('UNIQUE') ? 409 : 500).json({ error: e.message.includes('UNIQUE') ? 'Already a member' : 'Database error' });
+            audit(req, 'member', user_id, req.params.pid, 'create', null, { user_id, role });
+            res.json({ ok: true });
+        });
+    });
+});
+
+app.put('/api/projects/:pid/members/:userId', auth, allowArchived, projectAccess, reqRole('admin'), (req, res) => {
+    const { role } = req.body;
+    if (!ROLES[role]) return res.status(400).json({ error: 'Invalid role' });
+    db.get("SELECT * FROM project_members WHERE project_id=? AND user_id=?", [req.params.pid, req.params.userId], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        db.run("UPDATE project_members SET role=? WHERE project_id=? AND user_id=?", [role, req.params.pid, req.params.userId], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            audit(req, 'member', req.params.userId, req.params.pid, 'update', before, { role });
+            res.json({ changes: this.changes });
+        });
+    });
+});
+
+app.delete('/api/projects/:pid/members/:userId', auth, allowArchived, projectAccess, reqRole('admin'), (req, res) => {
+    db.get("SELECT * FROM project_members WHERE project_id=? AND user_id=?", [req.params.pid, req.params.userId], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        db.run("DELETE FROM project_members WHERE project_id=? AND user_id=?", [req.params.pid, req.params.userId], function(e) {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            if (this.changes) audit(req, 'member', req.params.userId, req.params.pid, 'delete', before);
+            res.json({ changes: this.changes });
+        });
     });
 });
 
 // STATS
-app.get('/api/projects/:pid/stats', auth, (req, res) => {
+app.get('/api/projects/:pid/stats', auth, projectAccess, (req, res) => {
     const stats = {};
     db.serialize(() => {
-        db.get("SELECT COUNT(*) as total FROM tasks WHERE project_id=?", [req.params.pid], (e, r) => {
+        db.get("SELECT COUNT(*) as total FROM tasks WHERE project_id=? AND deleted_at IS NULL", [req.params.pid], (e, r) => {
             if (e) return res.status(500).json({ error: 'Database error' });
             stats.totalTasks = r?.total || 0;
         });
-        db.all("SELECT status, COUNT(*) as count FROM tasks WHERE project_id=? GROUP BY status", [req.params.pid], (e, r) => {
+        db.all("SELECT status, COUNT(*) as count FROM tasks WHERE project_id=? AND deleted_at IS NULL GROUP BY status", [req.params.pid], (e, r) => {
             if (e) return res.status(500).json({ error: 'Database error' });
             stats.byStatus = r || [];
         });
-        db.all("SELECT workstream, COUNT(*) as total, SUM(CASE WHEN status='Complete' THEN 1 ELSE 0 END) as complete, AVG(percent_complete) as progress FROM tasks WHERE project_id=? GROUP BY workstream", [req.params.pid], (e, r) => {
+        db.all("SELECT workstream, COUNT(*) as total, SUM(CASE WHEN status='Complete' THEN 1 ELSE 0 END) as complete, AVG(percent_complete) as progress FROM tasks WHERE project_id=? AND deleted_at IS NULL GROUP BY workstream", [req.params.pid], (e, r) => {
             if (e) return res.status(500).json({ error: 'Database error' });
             stats.byWorkstream = r || [];
             res.json(stats);
@@ -593,12 +3382,187 @@ app.get('/api/projects/:pid/stats', auth, (req, res) => {
     });
 });
 
+// PORTFOLIO - every active project side by side, workload per owner across projects, and the trend
+// from daily snapshots. A project's elapsed is the share of start_date → target_completion that has
+// passed; schedule_gap is progress minus elapsed, in points (negative when the work is behind the clock).
+const PORTFOLIO_DAYS = 90;
+const HIGH_RISK_SCORE = 10; // High and Critical ratings
+const round1 = v => Math.round(v * 10) / 10;
+
+// complete, off_track (past its target date with work left, or more than 25 points behind), at_risk
+// (more than 10 points behind), on_track, or null without both dates
+function projectHealth(p, today) {
+    if (p.tasks && p.completed === p.tasks) return 'complete';
+    if (toDay(p.target_completion) !== null && p.target_completion < today) return 'off_track';
+    if (p.schedule_gap === null) return null;
+    return p.schedule_gap < -25 ? 'off_track' : p.schedule_gap < -10 ? 'at_risk' : 'on_track';
+}
+
+// Current figures for the projects matching `where` (on projects p); trashed projects and tasks never count
+async function portfolioProjects(where, today) {
+    const rows = await dbAll(`SELECT p.id,p.name,p.acquired_company,p.parent_company,p.status,p.start_date,p.target_completion,p.archived_at,
+        COUNT(t.id) as tasks, COALESCE(SUM(t.status='Complete'),0) as completed, COALESCE(AVG(t.percent_complete),0) as progress,
+        COALESCE(SUM(t.status<>'Complete' AND t.due_date IS NOT NULL AND t.due_date<>'' AND t.due_date<?),0) as overdue, COALESCE(SUM(t.status='Blocked'),0) as blocked
+        FROM projects p LEFT JOIN tasks t ON t.project_id=p.id AND t.deleted_at IS NULL
+        WHERE p.deleted_at IS NULL AND ${where} GROUP BY p.id ORDER BY p.name`, [today]);
+    const risks = rows.length ? await dbAll(`SELECT project_id,likelihood,impact FROM risks WHERE status IN ('Open','Mitigating') AND project_id IN (${rows.map(p => p.id).join(',')})`) : [];
+    const high = new Map();
+    risks.map(scoreRisk).filter(r => r.score >= HIGH_RISK_SCORE).forEach(r => high.set(r.project_id, (high.get(r.project_id) || 0) + 1));
+    const now = toDay(today);
+    return rows.map(p => {
+        const start = toDay(p.start_date), end = toDay(p.target_completion), progress = round1(p.progress);
+        const elapsed = start !== null && end !== null && end > start ? Math.min(100, Math.max(0, Math.round((now - start) / (end - start) * 100))) : null;
+        const row = { ...p, progress, elapsed, schedule_gap: elapsed === null ? null : Math.round(progress - elapsed), open_high_risks: high.get(p.id) || 0 };
+        return { ...row, health: projectHealth(row, today) };
+    });
+}
+
+// Records today's figures for every active project. Runs at startup and hourly, so a day keeps its last reading.
+async function snapshotProjects() {
+    try {
+        const today = isoToday();
+        for (const p of await portfolioProjects('p.archived_at IS NULL', today)) {
+            await dbRun("INSERT OR REPLACE INTO project_snapshots (project_id,day,tasks,completed,progress,overdue,blocked,open_high_risks) VALUES (?,?,?,?,?,?,?,?)",
+                [p.id, today, p.tasks, p.completed, p.progress, p.overdue, p.blocked, p.open_high_risks]);
+        }
+    } catch (e) {
+        console.error('Project snapshot error:', e);
+    }
+}
+setInterval(snapshotProjects, 3600000);
+
+// Open tasks grouped by owner (user, contact or unlinked name), with a per-project breakdown; unassigned last
+function ownerWorkload(rows, projects) {
+    const unassigned = o => !o.user_id && !o.contact_id && !o.owner;
+    const names = new Map(projects.map(p => [p.id, p.name])), owners = new Map();
+    rows.forEach(r => {
+        const key = r.owner_id ? 'u' + r.owner_id : r.owner_contact_id ? 'c' + r.owner_contact_id : r.owner ? 'n' + r.owner.toLowerCase() : '';
+        if (!owners.has(key)) owners.set(key, { owner: r.owner || null, user_id: r.owner_id || null, contact_id: r.owner_contact_id || null, open: 0, overdue: 0, due_soon: 0, blocked: 0, projects: [] });
+        const o = owners.get(key);
+        ['open', 'overdue', 'due_soon', 'blocked'].forEach(k => { o[k] += r[k] || 0; });
+        o.projects.push({ project_id: r.project_id, name: names.get(r.project_id), open: r.open, overdue: r.overdue || 0 });
+    });
+    return [...owners.values()].map(o => ({ ...o, projects: o.projects.sort((a, b) => b.open - a.open) }))
+        .sort((a, b) => unassigned(a) - unassigned(b) || b.open - a.open || (a.owner || '').localeCompare(b.owner || ''));
+}
+
+const sum = (rows, k) => rows.reduce((s, r) => s + r[k], 0);
+const weightedProgress = rows => { const n = sum(rows, 'tasks'); return n ? round1(rows.reduce((s, r) => s + r.progress * r.tasks, 0) / n) : 0; };
+const portfolioTotals = rows => ({
+    projects: rows.length, tasks: sum(rows, 'tasks'), completed: sum(rows, 'completed'), progress: weightedProgress(rows),
+    overdue: sum(rows, 'overdue'), blocked: sum(rows, 'blocked'), open_high_risks: sum(rows, 'open_high_risks')
+});
+
+// One row of totals per day with snapshots, then today's from the live figures
+function portfolioTrend(snapshots, projects, today) {
+    const days = new Map();
+    snapshots.forEach(s => { if (!days.has(s.day)) days.set(s.day, []); days.get(s.day).push(s); });
+    days.set(today, projects);
+    return [...days].map(([day, rows]) => ({ day, ...portfolioTotals(rows) }));
+}
+
+// ?days= how far back the trend goes (default 90, at most 365); ?archived=1 includes archived projects
+app.get('/api/portfolio', auth, async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || PORTFOLIO_DAYS, 1), 365), today = isoToday();
+    const archived = ['1', 'true'].includes(req.query.archived) ? '' : ' AND p.archived_at IS NULL';
+    try {
+        const projects = await portfolioProjects(visibleProjects(req.user, 'p.id') + archived, today);
+        const ids = projects.map(p => p.id).join(',') || 'NULL';
+        const owned = await dbAll(`SELECT owner_id, owner_contact_id, owner, project_id, COUNT(*) as open, SUM(due_date IS NOT NULL AND due_date<>'' AND due_date<?) as overdue,
+            SUM(due_date>=? AND due_date<=?) as due_soon, SUM(status='Blocked') as blocked
+            FROM tasks WHERE project_id IN (${ids}) AND deleted_at IS NULL AND status<>'Complete'
+            GROUP BY project_id, owner_id, owner_contact_id, owner`, [today, today, fromDay(toDay(today) + 14)]);
+        const snapshots = await dbAll(`SELECT * FROM project_snapshots WHERE project_id IN (${ids}) AND day>=? AND day<? ORDER BY day, project_id`, [fromDay(toDay(today) - days + 1), today]);
+        const history = new Map();
+        snapshots.forEach(s => { if (!history.has(s.project_id)) history.set(s.project_id, []); history.get(s.project_id).push({ day: s.day, progress: s.progress, overdue: s.overdue }); });
+        const health = { on_track: 0, at_risk: 0, off_track: 0, complete: 0, unscheduled: 0 };
+        projects.forEach(p => { health[p.health || 'unscheduled']++; });
+        res.json({
+            today, days,
+            summary: { ...portfolioTotals(projects), health },
+            projects: projects.map(p => ({ ...p, trend: [...(history.get(p.id) || []), { day: today, progress: p.progress, overdue: p.overdue }] })),
+            workload: ownerWorkload(owned, projects),
+            trend: portfolioTrend(snapshots, projects, today)
+        });
+    } catch (e) {
+        console.error('Portfolio error:', e);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// SCHEDULE - dependency graph, critical path and earliest possible finish
+app.get('/api/projects/:pid/schedule', auth, projectAccess, (req, res) => {
+    db.get("SELECT * FROM projects WHERE id=?", [req.params.pid], (e, project) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!project) return res.status(404).json({ error: 'Not found' });
+        db.all("SELECT id,name,workstream,owner,status,start_date,due_date,dependencies FROM tasks WHERE project_id=? AND deleted_at IS NULL ORDER BY id", [req.params.pid], (e, tasks) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json(buildSchedule(project, tasks || []));
+        });
+    });
+});
+
+// BASELINES - snapshots of the plan that variance is measured against. :bid may also be "latest".
+app.get('/api/projects/:pid/baselines', auth, projectAccess, (req, res) => {
+    db.all("SELECT b.*, (SELECT COUNT(*) FROM baseline_tasks WHERE baseline_id=b.id) as task_count FROM baselines b WHERE b.project_id=? ORDER BY b.created_at DESC, b.id DESC", [req.params.pid], (e, r) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        res.json(r || []);
+    });
+});
+
+// Body: { name, description } — copies every task's dates, status and percent complete as they are now
+app.post('/api/projects/:pid/baselines', auth, projectAccess, reqRole('teamlead'), async (req, res) => {
+    const name = String(req.body.name || '').trim(), description = req.body.description || null;
+    if (!name) return res.status(400).json({ error: 'Name required' });
+    try {
+        const { id, task_count } = await transaction(async tx => {
+            const id = (await tx.run("INSERT INTO baselines (project_id,name,description,user_id,author) VALUES (?,?,?,?,?)", [req.params.pid, name, description, req.user.id, req.user.username])).lastID;
+            const task_count = (await tx.run(`INSERT INTO baseline_tasks (baseline_id,task_id,name,workstream,status,start_date,due_date,percent_complete) SELECT ?,id,name,workstream,status,start_date,due_date,percent_complete FROM tasks WHERE project_id=? AND deleted_at IS NULL`, [id, req.params.pid])).changes;
+            return { id, task_count };
+        });
+        audit(req, 'baseline', id, req.params.pid, 'create', null, { name, description, task_count });
+        res.json({ id, task_count });
+    } catch (err) {
+        if (/UNIQUE/.test(err.message)) return res.status(409).json({ error: 'This project already has a baseline with that name' });
+        console.error('Baseline create error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.delete('/api/projects/:pid/baselines/:bid', auth, projectAccess, reqRole('teamlead'), (req, res) => {
+    db.get("SELECT id,name,description FROM baselines WHERE id=? AND project_id=?", [req.params.bid, req.params.pid], (e, before) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        db.serialize(() => {
+            db.run("DELETE FROM baseline_tasks WHERE baseline_id=?", [before.id]);
+            db.run("DELETE FROM baselines WHERE id=?", [before.id], function(e) {
+                if (e) return res.status(500).json({ error: 'Database error' });
+                audit(req, 'baseline', before.id, req.params.pid, 'delete', before);
+                res.json({ changes: this.changes });
+            });
+        });
+    });
+});
+
+// Per-task, per-workstream and overall variance of the current plan against the baseline
+app.get('/api/projects/:pid/baselines/:bid/variance', auth, projectAccess, (req, res) => {
+    loadBaseline(req.params.pid, req.params.bid, (e, baseline) => {
+        if (e) return res.status(500).json({ error: 'Database error' });
+        if (!baseline) return res.status(404).json({ error: 'Not found' });
+        loadVariance(req.params.pid, baseline, (e, variance) => {
+            if (e) return res.status(500).json({ error: 'Database error' });
+            res.json(variance);
+        });
+    });
+});
+
 // Multer error handling middleware
 app.use((err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') return res.status(400).json({ error: 'File too large (max 10MB)' });
         return res.status(400).json({ error: err.message });
     }
+    if (err.message === 'Only .xlsx workbooks can be imported') return res.status(400).json({ error: err.message });
     if (err.message === 'File type not allowed') return res.status(400).json({ error: 'File type not allowed. Accepted: pdf, doc, docx, xls, xlsx, ppt, pptx, png, jpg, gif, txt, csv, zip, msg, eml' });
     next(err);
 });